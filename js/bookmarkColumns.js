@@ -0,0 +1,243 @@
+import { loadSystemsData } from './loadSystemsData.js';
+
+export const BOOKMARK_KEYS = ['Label', 'Type', 'Jumps', 'SOL', 'CON', 'REG', 'Date', 'Expiry', 'Creator'];
+export const SOURCE_KEY = 'Source';
+
+// Column titles as they appear in the People & Places bookmark list for every
+// client language, plus the short names used by our own exports.
+const COLUMN_ALIASES = {
+    Label: ['label', 'name', 'bezeichnung', 'beschriftung', 'название', 'метка', 'étiquette', 'etiquette', 'libellé', 'nom', 'ラベル', '名前', '标签', '名称', '라벨', '이름', 'etiqueta', 'nombre'],
+    Type: ['type', 'typ', 'тип', 'タイプ', '種類', '类型', '유형', '종류', 'tipo'],
+    Jumps: ['jumps', 'sprünge', 'sprunge', 'прыжки', 'прыжков', 'sauts', 'ジャンプ', 'ジャンプ数', '跳跃', '跳跃数', '점프', 'saltos'],
+    SOL: ['sol', 'system', 'solar system', 'solarsystem', 'sonnensystem', 'система', 'звёздная система', 'звездная система', 'système', 'systeme', 'système solaire', 'ソーラーシステム', '星系', '항성계', 'sistema', 'sistema solar'],
+    CON: ['con', 'constellation', 'konstellation', 'созвездие', '星座', '성좌', 'constelación', 'constelacion'],
+    REG: ['reg', 'region', 'регион', 'région', 'リージョン', '星域', '지역', '성역', 'región'],
+    Date: ['date', 'datum', 'дата', 'created', '日付', '作成日', '日期', '날짜', 'fecha'],
+    Expiry: ['expiry', 'expires', 'expiration', 'ablauf', 'läuft ab', 'ablaufdatum', 'истекает', 'срок действия', 'expire', 'expire le', '有効期限', '期限', '到期', '过期时间', '만료', '만료일', 'caducidad', 'vencimiento', 'expira'],
+    Creator: ['creator', 'ersteller', 'создатель', 'автор', 'créateur', 'createur', '作成者', '创建者', '제작자', '생성자', 'creador'],
+    [SOURCE_KEY]: ['source', 'folder']
+};
+
+const IGNORED_COLUMN_ALIASES = ['security', 'sicherheit', 'безопасность', 'sécurité', 'セキュリティ', '安全等级', '보안', 'seguridad'];
+
+// Narrower exports rarely keep constellation/region, and content checks already
+// claimed any date or jump columns, so the free-text columns are filled in this order.
+const PARTIAL_LAYOUT_ORDER = ['Label', 'Type', 'SOL', 'Creator', 'CON', 'REG'];
+
+const ALIAS_LOOKUP = buildAliasLookup();
+const MIN_HEADER_MATCHES = 3;
+const INFERENCE_SAMPLE_ROWS = 50;
+const INFERENCE_THRESHOLD = 0.6;
+
+const DATE_PATTERN = /^\d{4}[.\-/]\d{1,2}[.\-/]\d{1,2}(?:[ T]\d{1,2}:\d{2}(?::\d{2})?)?$/;
+const JUMPS_PATTERN = /^(?:\d{1,3}|-)$/;
+const SECURITY_PATTERN = /^-?[01]\.\d{1,2}$/;
+
+let knownSystemsPromise = null;
+
+function buildAliasLookup() {
+    const lookup = new Map();
+    Object.entries(COLUMN_ALIASES).forEach(([key, aliases]) => {
+        lookup.set(normalizeHeaderCell(key), key);
+        aliases.forEach((alias) => {
+            lookup.set(normalizeHeaderCell(alias), key);
+        });
+    });
+    IGNORED_COLUMN_ALIASES.forEach((alias) => {
+        lookup.set(normalizeHeaderCell(alias), null);
+    });
+    return lookup;
+}
+
+function normalizeHeaderCell(value) {
+    return (value || '')
+        .toString()
+        .normalize('NFKC')
+        .trim()
+        .toLowerCase()
+        .replace(/[:：]$/, '')
+        .replace(/\s+/g, ' ');
+}
+
+export function matchColumnAlias(title) {
+    const normalized = normalizeHeaderCell(title);
+    if (!normalized || !ALIAS_LOOKUP.has(normalized)) {
+        return undefined;
+    }
+    return ALIAS_LOOKUP.get(normalized);
+}
+
+export function ensureKnownSystemNames() {
+    if (!knownSystemsPromise) {
+        knownSystemsPromise = loadSystemsData()
+            .then((systems) => new Set(Object.keys(systems || {}).map((name) => name.toLowerCase())))
+            .catch((error) => {
+                console.warn('Failed to load systems data for column detection', error);
+                knownSystemsPromise = null;
+                return new Set();
+            });
+    }
+    return knownSystemsPromise;
+}
+
+/**
+ * Works out which canonical bookmark key each column holds. A recognised header
+ * row wins; otherwise columns are inferred from their content, with anything
+ * still ambiguous falling back to the client's default column order.
+ */
+export function resolveColumnMapping(records, { knownSystems = null } = {}) {
+    if (!Array.isArray(records) || !records.length) {
+        return { keys: BOOKMARK_KEYS.slice(), hasHeader: false, method: 'positional' };
+    }
+
+    const headerKeys = matchHeaderRow(records[0]);
+    if (headerKeys) {
+        return { keys: headerKeys, hasHeader: true, method: 'header' };
+    }
+
+    const inferred = inferColumnKeys(records.slice(0, INFERENCE_SAMPLE_ROWS), knownSystems);
+    return { keys: inferred.keys, hasHeader: false, method: inferred.method };
+}
+
+export function isHeaderRow(cells) {
+    return matchHeaderRow(cells) !== null;
+}
+
+function matchHeaderRow(cells) {
+    let matches = 0;
+    const seen = new Set();
+    const keys = cells.map((cell) => {
+        const key = matchColumnAlias(cell);
+        if (key === undefined) {
+            return null;
+        }
+        if (key === null || seen.has(key)) {
+            return null;
+        }
+        seen.add(key);
+        matches += 1;
+        return key;
+    });
+    const required = Math.min(MIN_HEADER_MATCHES, cells.length);
+    return matches >= required && (seen.has('Label') || seen.has('SOL')) ? keys : null;
+}
+
+function inferColumnKeys(records, knownSystems) {
+    const columnCount = records.reduce((max, cells) => Math.max(max, cells.length), 0);
+    const profiles = [];
+    for (let index = 0; index < columnCount; index += 1) {
+        profiles.push(profileColumn(records, index, knownSystems));
+    }
+
+    const keys = new Array(columnCount).fill(undefined);
+    const assign = (index, key) => {
+        if (index >= 0 && index < columnCount && keys[index] === undefined && !keys.includes(key)) {
+            keys[index] = key;
+            return true;
+        }
+        return false;
+    };
+
+    profiles.forEach((profile, index) => {
+        if (profile.security >= INFERENCE_THRESHOLD) {
+            keys[index] = null;
+        }
+    });
+
+    if (knownSystems && knownSystems.size) {
+        const solIndex = pickBestColumn(profiles, keys, 'system');
+        // Constellation and region only sit next to the system in the full client layout.
+        if (solIndex !== -1 && assign(solIndex, 'SOL') && columnCount >= BOOKMARK_KEYS.length) {
+            const nextIsText = (offset) => {
+                const profile = profiles[solIndex + offset];
+                return profile && profile.date < INFERENCE_THRESHOLD && profile.jumps < INFERENCE_THRESHOLD;
+            };
+            if (nextIsText(1)) {
+                assign(solIndex + 1, 'CON');
+                if (nextIsText(2)) {
+                    assign(solIndex + 2, 'REG');
+                }
+            }
+        }
+    }
+
+    const dateColumns = profiles
+        .map((profile, index) => ({ profile, index }))
+        .filter(({ profile, index }) => keys[index] === undefined && profile.date >= INFERENCE_THRESHOLD);
+    if (dateColumns.length >= 2) {
+        assign(dateColumns[0].index, 'Date');
+        assign(dateColumns[1].index, 'Expiry');
+    } else if (dateColumns.length === 1) {
+        assign(dateColumns[0].index, dateColumns[0].profile.filled < 1 ? 'Expiry' : 'Date');
+    }
+
+    const jumpsIndex = pickBestColumn(profiles, keys, 'jumps');
+    if (jumpsIndex !== -1) {
+        assign(jumpsIndex, 'Jumps');
+    }
+
+    const inferredCount = keys.filter((key) => key !== undefined).length;
+    const fallbackOrder = columnCount >= BOOKMARK_KEYS.length ? BOOKMARK_KEYS : PARTIAL_LAYOUT_ORDER;
+    const remainingKeys = fallbackOrder.filter((key) => !keys.includes(key));
+    keys.forEach((key, index) => {
+        if (key === undefined) {
+            keys[index] = remainingKeys.shift() || null;
+        }
+    });
+
+    return { keys, method: inferredCount > 0 ? 'inferred' : 'positional' };
+}
+
+function pickBestColumn(profiles, keys, metric) {
+    let bestIndex = -1;
+    let bestScore = INFERENCE_THRESHOLD;
+    profiles.forEach((profile, index) => {
+        if (keys[index] !== undefined) {
+            return;
+        }
+        if (profile[metric] >= bestScore && (bestIndex === -1 || profile[metric] > profiles[bestIndex][metric])) {
+            bestIndex = index;
+            bestScore = profile[metric];
+        }
+    });
+    return bestIndex;
+}
+
+function profileColumn(records, index, knownSystems) {
+    let reached = 0;
+    let filled = 0;
+    let system = 0;
+    let date = 0;
+    let jumps = 0;
+    let security = 0;
+    records.forEach((cells) => {
+        if (cells.length > index) {
+            reached += 1;
+        }
+        const value = (cells[index] || '').trim();
+        if (!value) {
+            return;
+        }
+        filled += 1;
+        if (knownSystems && knownSystems.has(value.toLowerCase())) {
+            system += 1;
+        }
+        if (DATE_PATTERN.test(value)) {
+            date += 1;
+        }
+        if (JUMPS_PATTERN.test(value)) {
+            jumps += 1;
+        }
+        if (SECURITY_PATTERN.test(value)) {
+            security += 1;
+        }
+    });
+    const ratio = (count) => (filled ? count / filled : 0);
+    return {
+        filled: reached ? filled / reached : 0,
+        system: ratio(system),
+        date: ratio(date),
+        jumps: ratio(jumps),
+        security: ratio(security)
+    };
+}
@@ -0,0 +1,142 @@
+import { ensureKnownSystemNames } from './bookmarkColumns.js';
+import { DELIMITER_NAMES, formatFromFileName, parseBookmarkText } from './bookmarkParser.js';
+import { buildImportReport } from './bookmarkValidation.js';
+import { describeImportAction, displayErrorMessage, importReviewedRows } from './clipboard.js';
+import { openImportReview } from './importReview.js';
+
+const COLUMN_METHOD_LABELS = {
+    header: 'header',
+    inferred: 'content',
+    positional: 'position'
+};
+
+const fileImportState = {
+    dragDepth: 0
+};
+
+const fileImportDom = {
+    module: null,
+    fileButton: null,
+    fileInput: null
+};
+
+function initBookmarkFileImport() {
+    fileImportDom.module = document.querySelector('[data-module-id="bookmarks"]');
+    fileImportDom.fileButton = document.getElementById('bookmarkFileButton');
+    fileImportDom.fileInput = document.getElementById('bookmarkFileInput');
+
+    if (!fileImportDom.module || !fileImportDom.fileInput) {
+        return;
+    }
+
+    if (fileImportDom.fileButton) {
+        fileImportDom.fileButton.addEventListener('click', () => {
+            fileImportDom.fileInput.click();
+        });
+    }
+    fileImportDom.fileInput.addEventListener('change', () => {
+        const files = Array.from(fileImportDom.fileInput.files || []);
+        fileImportDom.fileInput.value = '';
+        handleFiles(files);
+    });
+
+    fileImportDom.module.addEventListener('dragenter', handleDragEnter);
+    fileImportDom.module.addEventListener('dragover', handleDragOver);
+    fileImportDom.module.addEventListener('dragleave', handleDragLeave);
+    fileImportDom.module.addEventListener('drop', handleDrop);
+}
+
+function isFileDrag(event) {
+    const types = event.dataTransfer ? Array.from(event.dataTransfer.types || []) : [];
+    return types.includes('Files');
+}
+
+function handleDragEnter(event) {
+    if (!isFileDrag(event)) {
+        return;
+    }
+    event.preventDefault();
+    fileImportState.dragDepth += 1;
+    fileImportDom.module.classList.add('is-drop-target');
+}
+
+function handleDragOver(event) {
+    if (!isFileDrag(event)) {
+        return;
+    }
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'copy';
+}
+
+function handleDragLeave(event) {
+    if (!isFileDrag(event)) {
+        return;
+    }
+    fileImportState.dragDepth = Math.max(0, fileImportState.dragDepth - 1);
+    if (fileImportState.dragDepth === 0) {
+        fileImportDom.module.classList.remove('is-drop-target');
+    }
+}
+
+function handleDrop(event) {
+    if (!isFileDrag(event)) {
+        return;
+    }
+    event.preventDefault();
+    fileImportState.dragDepth = 0;
+    fileImportDom.module.classList.remove('is-drop-target');
+    handleFiles(Array.from(event.dataTransfer.files || []));
+}
+
+async function handleFiles(files) {
+    if (!files.length) {
+        return;
+    }
+
+    const knownSystems = await ensureKnownSystemNames();
+    const rows = [];
+    const issues = [];
+    const descriptions = [];
+    for (const file of files) {
+        try {
+            const text = await file.text();
+            const result = parseBookmarkText(text, {
+                format: formatFromFileName(file.name),
+                knownSystems
+            });
+            const report = buildImportReport(result, { knownSystems });
+            if (!report.rows.length && !report.issues.length) {
+                displayErrorMessage(`No bookmarks found in ${file.name}.`);
+                continue;
+            }
+            rows.push(...report.rows);
+            report.issues.forEach((issue) => {
+                issues.push({ ...issue, file: files.length > 1 ? file.name : null });
+            });
+            descriptions.push(describeParseResult(file.name, result));
+        } catch (error) {
+            console.error(`Error reading bookmark file ${file.name}:`, error);
+            displayErrorMessage(`Failed to read ${file.name}. Ensure it is a TSV, CSV or JSON bookmark export.`);
+        }
+    }
+
+    if (!descriptions.length) {
+        return;
+    }
+    openImportReview({
+        summary: `${descriptions.join(', ')}: ${describeImportAction()}`,
+        rows,
+        issues,
+        onConfirm: () => importReviewedRows(rows)
+    });
+}
+
+function describeParseResult(fileName, result) {
+    const format = result.format === 'json'
+        ? 'JSON'
+        : `${DELIMITER_NAMES[result.delimiter] || 'delimited'}-separated`;
+    const columns = result.columns ? `, columns by ${COLUMN_METHOD_LABELS[result.columns.method]}` : '';
+    return `${fileName} (${format}${columns})`;
+}
+
+document.addEventListener('DOMContentLoaded', initBookmarkFileImport);
@@ -0,0 +1,190 @@
+import { extractSystems } from './modules/map/extractSystems.js';
+
+const LABEL_FLAGS = ['VEOL', 'EOL', 'CRIT'];
+const SIGNATURE_TOKEN_PATTERN = /^([A-Z0-9?]{3})(?![A-Z0-9])/i;
+
+const WORMHOLE_CLASS_PREFIXES = [
+    'HS',
+    'LS',
+    'NS',
+    'C1',
+    'C2',
+    'C3',
+    'C4',
+    'C5',
+    'C6',
+    'C13',
+    'THERA',
+    'PV'
+];
+
+export const LABEL_COLUMNS = ['Sig', 'Class', 'Side', 'Size', 'Destination', 'Flags'];
+
+export function extractWormholeClass(rawLabel) {
+    if (!rawLabel || typeof rawLabel !== 'string') {
+        return null;
+    }
+    const tokens = rawLabel.split(/\s+/);
+    for (let index = 0; index < tokens.length; index += 1) {
+        const normalizedToken = tokens[index].replace(/[^\w?]/g, '').toUpperCase();
+        if (!normalizedToken) {
+            continue;
+        }
+        const detailedClassMatch = normalizedToken.match(/^([A-Z]{1,2}\d{1,3})/);
+        if (detailedClassMatch && detailedClassMatch[1]) {
+            return detailedClassMatch[1];
+        }
+        for (let prefixIndex = 0; prefixIndex < WORMHOLE_CLASS_PREFIXES.length; prefixIndex += 1) {
+            const prefix = WORMHOLE_CLASS_PREFIXES[prefixIndex];
+            if (normalizedToken.startsWith(prefix)) {
+                return prefix;
+            }
+        }
+    }
+    return null;
+}
+
+export function extractClassSegmentFromLabel(label) {
+    if (!label || typeof label !== 'string') {
+        return null;
+    }
+    const tokens = label.trim().split(/\s+/);
+    if (tokens.length < 2) {
+        return null;
+    }
+    return tokens[1];
+}
+
+// Splits a `C3sL` style segment into class (C3), connection side (s) and
+// ship size (L).
+export function parseClassSegment(segment) {
+    if (!segment || typeof segment !== 'string') {
+        return {
+            classCode: null,
+            connectionCode: null,
+            sizeCode: null
+        };
+    }
+    const trimmed = segment.trim();
+    if (!trimmed) {
+        return {
+            classCode: null,
+            connectionCode: null,
+            sizeCode: null
+        };
+    }
+    const sizeMatch = trimmed.match(/(XL|F|D|S|M|L)$/i);
+    let sizeCode = null;
+    let base = trimmed;
+    if (sizeMatch && sizeMatch[1]) {
+        sizeCode = sizeMatch[1].toUpperCase();
+        base = trimmed.slice(0, trimmed.length - sizeMatch[1].length);
+    }
+    if (!base) {
+        return {
+            classCode: null,
+            connectionCode: null,
+            sizeCode
+        };
+    }
+    const connectionMatch = base.match(/([A-Za-z])$/);
+    let connectionCode = null;
+    let classCode = base;
+    if (connectionMatch && connectionMatch[1]) {
+        connectionCode = connectionMatch[1].toLowerCase();
+        classCode = base.slice(0, base.length - connectionMatch[1].length);
+    }
+    classCode = classCode ? classCode.toUpperCase() : null;
+    return {
+        classCode,
+        connectionCode,
+        sizeCode
+    };
+}
+
+export function collectLabelFlags(label) {
+    if (!label) {
+        return [];
+    }
+    const tokens = label.trim().split(/\s+/);
+    const flags = [];
+    tokens.forEach((token) => {
+        const upper = token.replace(/[^A-Za-z]/g, '').toUpperCase();
+        if (LABEL_FLAGS.includes(upper) && !flags.includes(upper)) {
+            flags.push(upper);
+        }
+    });
+    return flags;
+}
+
+/**
+ * Breaks a wormhole bookmark label such as `-ABC C3sL J123456 EOL` into its
+ * parts. Labels that do not start with `-` only yield a signature.
+ */
+export function parseBookmarkLabel(label, sol = null) {
+    const text = (label || '').toString().trim();
+    const firstToken = text.replace(/^[-\s]+/, '').split(/\s+/)[0] || '';
+    const signatureMatch = firstToken.match(SIGNATURE_TOKEN_PATTERN);
+    const fields = {
+        sig: signatureMatch ? signatureMatch[1].toUpperCase() : null,
+        classCode: null,
+        side: null,
+        size: null,
+        destination: null,
+        flags: []
+    };
+    if (!text.startsWith('-')) {
+        return fields;
+    }
+
+    const segment = parseClassSegment(extractClassSegmentFromLabel(text));
+    fields.classCode = segment.classCode && (segment.classCode.includes('?') || extractWormholeClass(segment.classCode))
+        ? segment.classCode
+        : null;
+    fields.side = fields.classCode ? segment.connectionCode : null;
+    fields.size = fields.classCode ? segment.sizeCode : null;
+    fields.destination = extractSystems(text, sol)[1];
+    fields.flags = collectLabelFlags(text);
+    return fields;
+}
+
+// Parsed fields are cached on the row alongside its expiry info and keyed by
+// the label text, so edits to the label are picked up.
+export function getRowLabelFields(row) {
+    if (!row || typeof row !== 'object') {
+        return parseBookmarkLabel('');
+    }
+    const label = (row['Label'] ?? '').toString();
+    const cached = row.__bookmarkLabelFields;
+    if (cached && cached.label === label) {
+        return cached.fields;
+    }
+    const fields = parseBookmarkLabel(label, row['SOL']);
+    Object.defineProperty(row, '__bookmarkLabelFields', {
+        value: { label, fields },
+        writable: true,
+        configurable: true,
+        enumerable: false
+    });
+    return fields;
+}
+
+export function getLabelColumnValue(row, column) {
+    const fields = getRowLabelFields(row);
+    switch (column) {
+        case 'Sig':
+            return fields.sig || '';
+        case 'Class':
+            return fields.classCode || '';
+        case 'Side':
+            return fields.side || '';
+        case 'Size':
+            return fields.size || '';
+        case 'Destination':
+            return fields.destination || '';
+        case 'Flags':
+            return fields.flags.join(' ');
+        default:
+            return '';
+    }
+}
@@ -0,0 +1,270 @@
+import { BOOKMARK_KEYS, SOURCE_KEY, isHeaderRow, matchColumnAlias, resolveColumnMapping } from './bookmarkColumns.js';
+
+export { BOOKMARK_KEYS, SOURCE_KEY };
+
+const DELIMITER_CANDIDATES = ['\t', ',', ';', '|'];
+const QUOTED_DELIMITERS = new Set([',', ';']);
+const DELIMITER_SAMPLE_LINES = 20;
+const JSON_ROW_CONTAINERS = ['data', 'rows', 'bookmarks'];
+
+export const DELIMITER_NAMES = {
+    '\t': 'tab',
+    ',': 'comma',
+    ';': 'semicolon',
+    '|': 'pipe'
+};
+
+export const REJECT_REASONS = {
+    MISSING_TYPE: 'Type column is empty'
+};
+
+export function parseBookmarkText(text, { format = null, knownSystems = null } = {}) {
+    const rawText = (text || '').replace(/^\uFEFF/, '');
+    const resolvedFormat = format || detectTextFormat(rawText);
+
+    if (resolvedFormat === 'json') {
+        const entries = parseBookmarkJson(rawText);
+        return { format: 'json', delimiter: null, columns: null, ...splitRejectedEntries(entries) };
+    }
+
+    const delimiter = resolvedFormat === 'tsv' ? '\t' : detectDelimiter(rawText);
+    const records = parseDelimitedText(rawText, delimiter);
+    const columns = resolveColumnMapping(records.map((record) => record.cells), { knownSystems });
+    // Exports pasted back to back repeat their header row further down.
+    const bodyRecords = (columns.hasHeader ? records.slice(1) : records).filter((record) => !isHeaderRow(record.cells));
+    const entries = mapRecordsToEntries(bodyRecords, columns.keys);
+    return { format: 'delimited', delimiter, columns, ...splitRejectedEntries(entries) };
+}
+
+export function detectTextFormat(text) {
+    const trimmed = (text || '').trim();
+    if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+        try {
+            JSON.parse(trimmed);
+            return 'json';
+        } catch (error) {
+            return 'delimited';
+        }
+    }
+    return 'delimited';
+}
+
+export function formatFromFileName(fileName) {
+    const lower = (fileName || '').toLowerCase();
+    if (lower.endsWith('.json')) {
+        return 'json';
+    }
+    if (lower.endsWith('.tsv')) {
+        return 'tsv';
+    }
+    return null;
+}
+
+// Picks the candidate that splits the most sample lines into the same number of
+// columns; ties keep the earlier (more EVE-like) delimiter.
+export function detectDelimiter(text) {
+    const sample = (text || '')
+        .split(/\r?\n/)
+        .filter((line) => line.trim() !== '')
+        .slice(0, DELIMITER_SAMPLE_LINES);
+
+    let bestDelimiter = '\t';
+    let bestScore = 0;
+    DELIMITER_CANDIDATES.forEach((delimiter) => {
+        const counts = sample.map((line) => countDelimiters(line, delimiter));
+        const frequency = new Map();
+        counts.forEach((count) => {
+            if (count > 0) {
+                frequency.set(count, (frequency.get(count) || 0) + 1);
+            }
+        });
+        let consistentLines = 0;
+        frequency.forEach((lines) => {
+            if (lines > consistentLines) {
+                consistentLines = lines;
+            }
+        });
+        if (consistentLines > bestScore) {
+            bestScore = consistentLines;
+            bestDelimiter = delimiter;
+        }
+    });
+    return bestDelimiter;
+}
+
+function countDelimiters(line, delimiter) {
+    const allowQuotes = QUOTED_DELIMITERS.has(delimiter);
+    let count = 0;
+    let inQuotes = false;
+    for (let index = 0; index < line.length; index += 1) {
+        const char = line[index];
+        if (allowQuotes && char === '"') {
+            inQuotes = !inQuotes;
+        } else if (char === delimiter && !inQuotes) {
+            count += 1;
+        }
+    }
+    return count;
+}
+
+// Returns one { line, raw, cells } record per non-empty row; line is 1-based in
+// the source text so import reports can point back at it.
+export function parseDelimitedText(text, delimiter = '\t') {
+    const source = text || '';
+    if (!QUOTED_DELIMITERS.has(delimiter)) {
+        return source
+            .split('\n')
+            .map((line, index) => ({
+                line: index + 1,
+                raw: line.replace(/\r$/, ''),
+                cells: line.replace(/\r$/, '').split(delimiter)
+            }))
+            .filter((record) => record.raw.trim() !== '');
+    }
+
+    const records = [];
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+    let line = 1;
+    let recordLine = 1;
+    let recordStart = 0;
+
+    const pushRecord = (end) => {
+        record.push(field);
+        records.push({
+            line: recordLine,
+            raw: source.slice(recordStart, end).replace(/\r$/, ''),
+            cells: record
+        });
+        record = [];
+        field = '';
+    };
+
+    for (let index = 0; index < source.length; index += 1) {
+        const char = source[index];
+        if (char === '\n') {
+            line += 1;
+        }
+        if (inQuotes) {
+            if (char === '"' && source[index + 1] === '"') {
+                field += '"';
+                index += 1;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+            continue;
+        }
+        if (char === '"' && field.trim() === '') {
+            field = '';
+            inQuotes = true;
+        } else if (char === delimiter) {
+            record.push(field);
+            field = '';
+        } else if (char === '\n') {
+            pushRecord(index);
+            recordLine = line;
+            recordStart = index + 1;
+        } else if (char !== '\r') {
+            field += char;
+        }
+    }
+    pushRecord(source.length);
+
+    return records.filter((entry) => entry.cells.some((cell) => cell.trim() !== ''));
+}
+
+function mapRecordsToEntries(records, keys) {
+    return records.map(({ line, raw, cells }) => {
+        const row = {};
+        BOOKMARK_KEYS.forEach((key) => {
+            row[key] = null;
+        });
+        keys.forEach((key, index) => {
+            if (!key) {
+                return;
+            }
+            row[key] = cells[index] ? cells[index].trim() : null;
+        });
+        return { line, raw, cellCount: cells.length, row };
+    });
+}
+
+function parseBookmarkJson(text) {
+    const parsed = JSON.parse(text);
+    let entries = parsed;
+    if (!Array.isArray(entries) && entries && typeof entries === 'object') {
+        const container = JSON_ROW_CONTAINERS.find((key) => Array.isArray(entries[key]));
+        entries = container ? entries[container] : [];
+    }
+    if (!Array.isArray(entries)) {
+        return [];
+    }
+    return entries
+        .map((entry, index) => {
+            const row = normalizeJsonEntry(entry);
+            return row ? { line: index + 1, raw: JSON.stringify(entry), cellCount: null, row } : null;
+        })
+        .filter(Boolean);
+}
+
+function normalizeJsonEntry(entry) {
+    if (Array.isArray(entry)) {
+        const obj = {};
+        BOOKMARK_KEYS.forEach((key, index) => {
+            obj[key] = normalizeCell(entry[index]);
+        });
+        return obj;
+    }
+    if (!entry || typeof entry !== 'object') {
+        return null;
+    }
+    const obj = {};
+    BOOKMARK_KEYS.forEach((key) => {
+        obj[key] = null;
+    });
+    Object.keys(entry).forEach((entryKey) => {
+        const key = matchColumnAlias(entryKey);
+        if (!key || obj[key]) {
+            return;
+        }
+        const value = normalizeCell(entry[entryKey]);
+        if (value) {
+            obj[key] = value;
+        }
+    });
+    return obj;
+}
+
+function normalizeCell(value) {
+    if (value === undefined || value === null) {
+        return null;
+    }
+    const trimmed = value.toString().trim();
+    return trimmed ? trimmed : null;
+}
+
+// Folder and note entries (labels starting with "/") are part of every export,
+// so they are dropped quietly instead of being reported as rejected lines.
+function splitRejectedEntries(entries) {
+    const accepted = [];
+    const rejected = [];
+    entries.forEach((entry) => {
+        const label = (entry.row['Label'] || '').toString();
+        if (label.startsWith('/')) {
+            return;
+        }
+        if (!entry.row['Type']) {
+            rejected.push({ ...entry, reason: REJECT_REASONS.MISSING_TYPE });
+        } else {
+            accepted.push(entry);
+        }
+    });
+    return {
+        rows: accepted.map((entry) => entry.row),
+        entries: accepted,
+        rejected
+    };
+}
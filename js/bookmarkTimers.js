@@ -1,4 +1,14 @@
-const TIMER_INTERVAL_MS = 1000;
+import { formatEveTimestamp, formatTimestamp, parseEveTimestamp, parseRelativeDuration } from './eveTime.js';
+
+const SECOND_MS = 1000;
+const MINUTE_MS = 60 * SECOND_MS;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+// Headless watchers only act on whole-minute thresholds.
+const HEADLESS_RESOLUTION_MS = MINUTE_MS;
+// setTimeout overflows past ~24.8 days, so long sleeps are split.
+const MAX_SLEEP_MS = DAY_MS;
+
 const DEFAULT_TIMER_OPTIONS = {
     style: 'default',
     infinitySymbol: '∞',
@@ -7,19 +17,34 @@ const DEFAULT_TIMER_OPTIONS = {
     tag: null,
     showTitle: true,
     formatter: null,
+    resolutionMs: null,
     onExpire: null,
     onUpdate: null
 };
 
-const activeTimers = new Set();
-let tickerHandle = null;
+// Every countdown shares one scheduler. Each entry knows when its text next
+// changes; a single timeout wakes for the earliest of those, and the text
+// changes it produces are written together in the next animation frame.
+// Entries in a hidden tab or hidden module wait until they are shown again.
+const scheduler = {
+    entries: new Set(),
+    timeoutHandle: null,
+    frameHandle: null,
+    pendingWrites: new Map(),
+    listening: false
+};
 
 export const TIMER_TAGS = {
     TABLE: 'bookmark-table',
-    MAP: 'map-nodes'
+    MAP: 'map-nodes',
+    HEALTH: 'chain-health',
+    ALERTS: 'expiry-alerts'
 };
 
-export function parseBookmarkExpiry(rawValue) {
+// Dates are read as EVE time (UTC); relative values such as "2h 30m" or
+// "in 3 days" count from `now`. Stored rows have them fixed at import by
+// anchorRelativeDates, so this only applies to text that was never saved.
+export function parseBookmarkExpiry(rawValue, now = Date.now()) {
     if (rawValue === undefined || rawValue === null) {
         return buildExpiryInfo('unknown', null, rawValue);
     }
@@ -54,32 +79,55 @@ export function parseBookmarkExpiry(rawValue) {
         return buildExpiryInfo('infinite', null, rawValue);
     }
 
-    const sanitized = trimmed
-        .replace(/\b(utc|eve|et|expires?)/gi, '')
-        .replace(/[.]/g, '-')
-        .replace(/\s+/g, ' ')
-        .trim();
-
-    let timestamp = Number.isFinite(Number(sanitized)) ? Number(sanitized) : NaN;
+    const sanitized = sanitizeDateText(trimmed);
+    const timestamp = Number.isFinite(Number(sanitized)) && sanitized
+        ? Number(sanitized)
+        : parseEveTimestamp(sanitized, now);
 
-    if (Number.isNaN(timestamp)) {
-        const isoMatch = sanitized.match(/^(\d{4})[-](\d{2})[-](\d{2})[ T](\d{2}):(\d{2})(?::(\d{2}))?$/);
-        if (isoMatch) {
-            const [, year, month, day, hour, minute, second] = isoMatch;
-            const isoString = `${year}-${month}-${day}T${hour}:${minute}:${second || '00'}Z`;
-            timestamp = Date.parse(isoString);
-        } else {
-            timestamp = Date.parse(sanitized);
-        }
-    }
-
-    if (Number.isNaN(timestamp)) {
+    if (timestamp === null) {
         return buildExpiryInfo('unknown', null, rawValue);
     }
 
     return buildExpiryInfo('timestamp', timestamp, rawValue);
 }
 
+function sanitizeDateText(text) {
+    return text
+        .replace(/\b(utc|eve|et|expires?)\b/gi, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+const RELATIVE_DATE_COLUMNS = ['Date', 'Expiry'];
+
+/**
+ * Turns relative Date and Expiry values ("2h 30m", "2 days ago") into EVE
+ * timestamps counted from `anchor`, the time the bookmarks were pasted.
+ * Without this they would restart from whenever they are read. Returns the
+ * row itself when nothing was relative.
+ */
+export function anchorRelativeDates(row, anchor) {
+    if (!row || typeof row !== 'object' || !Number.isFinite(anchor)) {
+        return row;
+    }
+    let anchored = row;
+    RELATIVE_DATE_COLUMNS.forEach((column) => {
+        const raw = row[column];
+        if (typeof raw !== 'string') {
+            return;
+        }
+        const offset = parseRelativeDuration(sanitizeDateText(raw));
+        if (offset === null) {
+            return;
+        }
+        if (anchored === row) {
+            anchored = { ...row };
+        }
+        anchored[column] = formatEveTimestamp(anchor + offset, { seconds: true });
+    });
+    return anchored;
+}
+
 export function getRowExpiry(row) {
     if (!row || typeof row !== 'object') {
         return buildExpiryInfo('unknown', null, null);
@@ -175,33 +223,40 @@ export function attachCountdown(element, expiryInfo, options = {}) {
         return null;
     }
 
-    const entry = {
-        element,
-        expiry: info.timestamp,
-        options: mergedOptions,
-        expiredNotified: false
-    };
+    const entry = createTimerEntry(element, info.timestamp, mergedOptions);
+    if (mergedOptions.showTitle) {
+        element.title = formatTimestamp(entry.expiry, { zone: true });
+    }
+    // The first text is written straight away so freshly built rows and
+    // labels never show up empty.
+    evaluateTimerEntry(entry, Date.now(), { immediate: true });
+    addTimerEntry(entry);
+    return () => removeTimerEntry(entry);
+}
 
-    activeTimers.add(entry);
-    ensureTicker();
-    updateTimerEntry(entry, Date.now());
+// Like attachCountdown but without an element: only the onUpdate and onExpire
+// callbacks run, once a minute (or every `resolutionMs`) and at expiry. They
+// keep running while the tab is hidden. Returns a remover, or null when there
+// is no timestamp to count down to.
+export function watchExpiry(expiryInfo, options = {}) {
+    const info = expiryInfo || buildExpiryInfo('unknown', null, null);
+    if (info.type !== 'timestamp' || !Number.isFinite(info.timestamp)) {
+        return null;
+    }
+    const entry = createTimerEntry(null, info.timestamp, { ...DEFAULT_TIMER_OPTIONS, ...options });
+    evaluateTimerEntry(entry, Date.now(), { immediate: true });
+    addTimerEntry(entry);
     return () => removeTimerEntry(entry);
 }
 
 export function clearCountdowns(tag = null) {
-    if (tag === null) {
-        activeTimers.clear();
-    } else {
-        for (const entry of Array.from(activeTimers)) {
-            if (entry.options.tag === tag) {
-                activeTimers.delete(entry);
-            }
+    for (const entry of Array.from(scheduler.entries)) {
+        if (tag === null || entry.options.tag === tag) {
+            scheduler.entries.delete(entry);
+            scheduler.pendingWrites.delete(entry);
         }
     }
-    if (!activeTimers.size && tickerHandle) {
-        clearInterval(tickerHandle);
-        tickerHandle = null;
-    }
+    scheduleNextWake();
 }
 
 function buildExpiryInfo(type, timestamp, rawValue) {
@@ -212,52 +267,108 @@ function buildExpiryInfo(type, timestamp, rawValue) {
     };
 }
 
-function ensureTicker() {
-    if (tickerHandle !== null) {
-        return;
-    }
-    tickerHandle = setInterval(() => runTimerTick(Date.now()), TIMER_INTERVAL_MS);
+function createTimerEntry(element, expiry, options) {
+    return {
+        element,
+        headless: !element,
+        expiry,
+        options,
+        expiredNotified: false,
+        lastText: null,
+        nextUpdateAt: 0,
+        owner: undefined
+    };
 }
 
-function runTimerTick(now) {
-    for (const entry of Array.from(activeTimers)) {
-        const { element } = entry;
-        if (!element || !element.isConnected) {
-            removeTimerEntry(entry);
-            continue;
+// How long the displayed text stays the same at this much remaining time,
+// matching the precision formatDuration shows for the style.
+function getDisplayResolution(remaining, style) {
+    if (style === 'compact') {
+        if (remaining >= DAY_MS) {
+            return HOUR_MS;
         }
-        updateTimerEntry(entry, now);
+        return remaining >= HOUR_MS ? MINUTE_MS : SECOND_MS;
     }
-    if (!activeTimers.size && tickerHandle) {
-        clearInterval(tickerHandle);
-        tickerHandle = null;
+    return remaining >= DAY_MS ? MINUTE_MS : SECOND_MS;
+}
+
+function getEntryResolution(entry, remaining) {
+    const { options } = entry;
+    if (Number.isFinite(options.resolutionMs) && options.resolutionMs > 0) {
+        return options.resolutionMs;
+    }
+    if (entry.headless) {
+        return HEADLESS_RESOLUTION_MS;
     }
+    if (typeof options.formatter === 'function') {
+        return SECOND_MS;
+    }
+    return getDisplayResolution(remaining, options.style);
 }
 
-function updateTimerEntry(entry, now) {
-    const { element, expiry, options } = entry;
-    if (!element) {
+// The shown value is floor(remaining / resolution), so it drops just after the
+// remaining time passes the multiple it currently rests on, or at expiry for
+// the last step. Nothing changes once expired.
+function getNextUpdateAt(entry, now) {
+    const remaining = entry.expiry - now;
+    if (remaining <= 0) {
+        return Number.POSITIVE_INFINITY;
+    }
+    const resolution = getEntryResolution(entry, remaining);
+    const steps = Math.floor(remaining / resolution);
+    return steps > 0 ? entry.expiry - steps * resolution + 1 : entry.expiry;
+}
+
+function formatEntryText(entry, remaining) {
+    const { options } = entry;
+    if (remaining <= 0) {
+        return options.expiredText;
+    }
+    if (typeof options.formatter === 'function') {
+        return options.formatter(remaining, entry);
+    }
+    return formatDuration(remaining, options.style);
+}
+
+function evaluateTimerEntry(entry, now, { immediate = false } = {}) {
+    const remaining = entry.expiry - now;
+    entry.nextUpdateAt = getNextUpdateAt(entry, now);
+
+    if (entry.headless) {
+        notifyTimerEntry(entry, remaining);
         return;
     }
 
-    const remaining = expiry - now;
-    let textContent;
+    const text = formatEntryText(entry, remaining);
+    const newlyExpired = remaining <= 0 && !entry.expiredNotified;
+    if (text === entry.lastText && !newlyExpired) {
+        return;
+    }
+    if (immediate) {
+        writeTimerEntry(entry, text, remaining);
+        return;
+    }
+    scheduler.pendingWrites.set(entry, { text, remaining });
+    if (scheduler.frameHandle === null) {
+        scheduler.frameHandle = requestAnimationFrame(flushTimerWrites);
+    }
+}
 
-    if (remaining <= 0) {
-        textContent = options.expiredText;
-        if (!entry.expiredNotified && typeof options.onExpire === 'function') {
-            entry.expiredNotified = true;
-            options.onExpire(element, entry);
-        }
-    } else if (typeof options.formatter === 'function') {
-        textContent = options.formatter(remaining, entry);
-    } else {
-        textContent = formatDuration(remaining, options.style);
+function writeTimerEntry(entry, text, remaining) {
+    if (text !== entry.lastText) {
+        entry.element.textContent = text;
+        entry.lastText = text;
     }
+    notifyTimerEntry(entry, remaining);
+}
 
-    element.textContent = textContent;
-    if (options.showTitle) {
-        element.title = new Date(expiry).toLocaleString();
+function notifyTimerEntry(entry, remaining) {
+    const { element, options } = entry;
+    if (remaining <= 0 && !entry.expiredNotified) {
+        entry.expiredNotified = true;
+        if (typeof options.onExpire === 'function') {
+            options.onExpire(element, entry);
+        }
     }
     if (typeof options.onUpdate === 'function') {
         options.onUpdate(element, {
@@ -268,10 +379,95 @@ function updateTimerEntry(entry, now) {
     }
 }
 
+function flushTimerWrites() {
+    scheduler.frameHandle = null;
+    const writes = Array.from(scheduler.pendingWrites);
+    scheduler.pendingWrites.clear();
+    writes.forEach(([entry, { text, remaining }]) => {
+        if (scheduler.entries.has(entry)) {
+            writeTimerEntry(entry, text, remaining);
+        }
+    });
+}
+
+function isTimerEntryPaused(entry) {
+    if (entry.headless) {
+        return false;
+    }
+    if (document.hidden) {
+        return true;
+    }
+    if (entry.owner === undefined && entry.element.isConnected) {
+        entry.owner = entry.element.closest('.module');
+    }
+    return Boolean(entry.owner && entry.owner.classList.contains('module-hidden'));
+}
+
+function addTimerEntry(entry) {
+    scheduler.entries.add(entry);
+    ensureSchedulerListeners();
+    scheduleNextWake();
+}
+
 function removeTimerEntry(entry) {
-    activeTimers.delete(entry);
-    if (!activeTimers.size && tickerHandle) {
-        clearInterval(tickerHandle);
-        tickerHandle = null;
+    scheduler.entries.delete(entry);
+    scheduler.pendingWrites.delete(entry);
+    scheduleNextWake();
+}
+
+function runScheduler() {
+    scheduler.timeoutHandle = null;
+    const now = Date.now();
+    for (const entry of Array.from(scheduler.entries)) {
+        // An onExpire callback earlier in this pass may have cleared it.
+        if (!scheduler.entries.has(entry)) {
+            continue;
+        }
+        if (!entry.headless && !entry.element.isConnected) {
+            scheduler.entries.delete(entry);
+            scheduler.pendingWrites.delete(entry);
+            continue;
+        }
+        if (entry.nextUpdateAt <= now && !isTimerEntryPaused(entry)) {
+            evaluateTimerEntry(entry, now);
+        }
+    }
+    scheduleNextWake();
+}
+
+function scheduleNextWake() {
+    if (scheduler.timeoutHandle !== null) {
+        clearTimeout(scheduler.timeoutHandle);
+        scheduler.timeoutHandle = null;
+    }
+    let wakeAt = Number.POSITIVE_INFINITY;
+    scheduler.entries.forEach((entry) => {
+        if (entry.nextUpdateAt < wakeAt && !isTimerEntryPaused(entry)) {
+            wakeAt = entry.nextUpdateAt;
+        }
+    });
+    if (wakeAt === Number.POSITIVE_INFINITY) {
+        return;
+    }
+    const delay = Math.min(MAX_SLEEP_MS, Math.max(0, wakeAt - Date.now()));
+    scheduler.timeoutHandle = setTimeout(runScheduler, delay);
+}
+
+function refreshTimerTitles() {
+    scheduler.entries.forEach((entry) => {
+        if (!entry.headless && entry.options.showTitle) {
+            entry.element.title = formatTimestamp(entry.expiry, { zone: true });
+        }
+    });
+}
+
+function ensureSchedulerListeners() {
+    if (scheduler.listening) {
+        return;
     }
+    scheduler.listening = true;
+    // Paused entries catch up as soon as their tab or module is visible again.
+    document.addEventListener('visibilitychange', runScheduler);
+    window.addEventListener('moduleVisibilityChanged', runScheduler);
+    window.addEventListener('timeDisplayModeChanged', refreshTimerTitles);
 }
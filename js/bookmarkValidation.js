@@ -0,0 +1,70 @@
+import { parseBookmarkExpiry } from './bookmarkTimers.js';
+import { extractSystems } from './modules/map/extractSystems.js';
+
+export const ISSUE_SEVERITY = {
+    REJECTED: 'rejected',
+    WARNING: 'warning'
+};
+
+export function buildImportReport(parseResult, { knownSystems = null } = {}) {
+    const issues = [];
+    const expectedColumns = parseResult.columns ? parseResult.columns.keys.length : null;
+
+    (parseResult.rejected || []).forEach((entry) => {
+        issues.push(createIssue(entry, ISSUE_SEVERITY.REJECTED, entry.reason));
+    });
+
+    (parseResult.entries || []).forEach((entry) => {
+        validateEntry(entry, { expectedColumns, knownSystems }).forEach((reason) => {
+            issues.push(createIssue(entry, ISSUE_SEVERITY.WARNING, reason));
+        });
+    });
+
+    issues.sort((a, b) => a.line - b.line);
+
+    return {
+        rows: parseResult.rows || [],
+        issues,
+        rejectedCount: issues.filter((issue) => issue.severity === ISSUE_SEVERITY.REJECTED).length,
+        warningCount: issues.filter((issue) => issue.severity === ISSUE_SEVERITY.WARNING).length
+    };
+}
+
+function validateEntry(entry, { expectedColumns, knownSystems }) {
+    const reasons = [];
+    const { row } = entry;
+
+    if (expectedColumns && entry.cellCount !== null && entry.cellCount !== expectedColumns) {
+        reasons.push(`Expected ${expectedColumns} columns, found ${entry.cellCount}`);
+    }
+
+    if (row['Expiry'] && parseBookmarkExpiry(row['Expiry']).type === 'unknown') {
+        reasons.push(`Expiry "${row['Expiry']}" could not be parsed`);
+    }
+
+    const systemName = (row['SOL'] || '').toString().trim();
+    if (!systemName) {
+        reasons.push('SOL column is empty');
+    } else if (knownSystems && knownSystems.size && !knownSystems.has(systemName.toLowerCase())) {
+        reasons.push(`Unknown system "${systemName}"`);
+    }
+
+    const label = (row['Label'] || '').toString();
+    if (label.startsWith('-') && systemName) {
+        const [, systemTo] = extractSystems(label, systemName);
+        if (!systemTo) {
+            reasons.push('Connection label has no destination system');
+        }
+    }
+
+    return reasons;
+}
+
+function createIssue(entry, severity, reason) {
+    return {
+        line: entry.line,
+        raw: entry.raw,
+        severity,
+        reason
+    };
+}
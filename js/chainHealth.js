@@ -0,0 +1,288 @@
+import { collectConnectionCandidates } from './stats.js';
+import { getRowLabelFields } from './bookmarkLabel.js';
+import { TIMER_TAGS, attachCountdown, clearCountdowns, getRowExpiry, watchExpiry } from './bookmarkTimers.js';
+import { formatTimestamp } from './eveTime.js';
+import { listUnscannedSignatures } from './signatures.js';
+import { onStorageReady } from './storage.js';
+import { showToast } from './toast.js';
+
+const EXPIRY_WINDOW_MS = 60 * 60 * 1000;
+const CONNECTION_FLAGS = ['VEOL', 'EOL', 'CRIT'];
+
+const HEALTH_SECTIONS = [
+    { id: 'flagged', title: 'EOL / CRIT connections', empty: 'No flagged connections.' },
+    { id: 'placeholders', title: 'Needs scouting', empty: 'No ??? destinations.' },
+    { id: 'oneWay', title: 'Missing return bookmark', empty: 'Every connection is bookmarked both ways.' },
+    { id: 'unscanned', title: 'Unscanned signatures', empty: 'No unscanned signatures.' },
+    { id: 'expiring', title: 'Expiring within the hour', empty: 'Nothing expires in the next hour.' }
+];
+
+const healthState = {
+    initialized: false,
+    data: []
+};
+
+const healthDom = {
+    summary: null,
+    sections: null
+};
+
+function getSystemName(row) {
+    return (row?.SOL || '').toString().trim();
+}
+
+function isPlaceholderRow(fields) {
+    if (fields.destination) {
+        return fields.destination.includes('?');
+    }
+    return Boolean(fields.classCode && fields.classCode.includes('?'));
+}
+
+function getCandidateFlags(candidate) {
+    const flags = new Set();
+    candidate.directions.forEach((rows) => {
+        rows.forEach((row) => getRowLabelFields(row).flags.forEach((flag) => flags.add(flag)));
+    });
+    return CONNECTION_FLAGS.filter((flag) => flags.has(flag));
+}
+
+// The map knows systems by name, so the system that carries the flagged
+// bookmark is the one to select.
+function getFlaggedSystem(candidate) {
+    for (const [directionKey, rows] of candidate.directions) {
+        if (rows.some((row) => getRowLabelFields(row).flags.some((flag) => CONNECTION_FLAGS.includes(flag)))) {
+            return directionKey.split('|')[0];
+        }
+    }
+    return candidate.systems[0];
+}
+
+/**
+ * Collects the chain issues someone should act on: flagged and one-way
+ * connections, `???` destinations, unscanned signatures and bookmarks that
+ * expire within the hour. Each entry names the system to select on the map.
+ */
+export function collectChainHealth(data, { now = Date.now(), unscanned = [] } = {}) {
+    const rows = Array.isArray(data) ? data : [];
+    const health = { flagged: [], placeholders: [], oneWay: [], unscanned: [], expiring: [] };
+    // Connection keys are upper-cased; show systems as the bookmarks spell them.
+    const systemNames = new Map();
+    rows.forEach((row) => {
+        const system = getSystemName(row);
+        if (system && !systemNames.has(system.toUpperCase())) {
+            systemNames.set(system.toUpperCase(), system);
+        }
+    });
+    const displayName = (name) => systemNames.get(name) || name;
+
+    collectConnectionCandidates(rows).forEach((candidate) => {
+        if (candidate.hasPlaceholder) {
+            return;
+        }
+        const flags = getCandidateFlags(candidate);
+        if (flags.length) {
+            health.flagged.push({
+                system: displayName(getFlaggedSystem(candidate)),
+                text: candidate.systems.map(displayName).join(' ↔ '),
+                detail: flags.join(' ')
+            });
+        }
+        if (!candidate.hasReturn) {
+            const [from, to] = Array.from(candidate.directions.keys())[0].split('|').map(displayName);
+            health.oneWay.push({
+                system: to,
+                text: `${from} → ${to}`,
+                detail: `no bookmark back from ${to}`
+            });
+        }
+    });
+
+    rows.forEach((row) => {
+        const system = getSystemName(row);
+        const label = (row?.Label || '').toString().trim();
+        const fields = getRowLabelFields(row);
+        if (label.startsWith('-') && system && isPlaceholderRow(fields)) {
+            health.placeholders.push({
+                system,
+                text: `${system}: ${label}`,
+                detail: fields.sig || ''
+            });
+        }
+        const expiry = getRowExpiry(row);
+        const remaining = expiry.type === 'timestamp' ? expiry.timestamp - now : null;
+        if (system && remaining !== null && remaining > 0 && remaining <= EXPIRY_WINDOW_MS) {
+            health.expiring.push({
+                system,
+                text: `${system}: ${label || '(no label)'}`,
+                expiry
+            });
+        }
+    });
+    health.expiring.sort((a, b) => a.expiry.timestamp - b.expiry.timestamp);
+
+    // Scans of systems that dropped out of the bookmarks are old news.
+    unscanned.forEach((entry) => {
+        if (!systemNames.has(entry.system.toUpperCase())) {
+            return;
+        }
+        const ids = entry.signatures.map((signature) => signature.signatureId).filter(Boolean);
+        health.unscanned.push({
+            system: entry.system,
+            text: `${entry.system}: ${ids.length} unscanned`,
+            detail: ids.join(' '),
+            title: entry.timestamp ? `Scanned ${formatTimestamp(entry.timestamp, { zone: true })}` : ''
+        });
+    });
+
+    return health;
+}
+
+// Returns when the next bookmark enters the expiry window, so the list can be
+// rebuilt then.
+function getNextExpiryWindowStart(data, now) {
+    let next = null;
+    (Array.isArray(data) ? data : []).forEach((row) => {
+        const expiry = getRowExpiry(row);
+        if (expiry.type !== 'timestamp') {
+            return;
+        }
+        const enters = expiry.timestamp - EXPIRY_WINDOW_MS;
+        if (enters > now && (next === null || enters < next)) {
+            next = enters;
+        }
+    });
+    return next;
+}
+
+function selectSystem(systemName) {
+    const applySelection = window.__bookmarkViewerApplySystemSelection;
+    const selected = typeof applySelection === 'function' && applySelection(systemName) === true;
+    if (!selected) {
+        showToast(`Could not select ${systemName} on the map.`, { type: 'error' });
+    }
+}
+
+function createEntryButton(entry) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'chain-health-entry';
+    button.title = entry.title || `Select ${entry.system} on the map`;
+    button.addEventListener('click', () => selectSystem(entry.system));
+
+    const text = document.createElement('span');
+    text.className = 'chain-health-entry-text';
+    text.textContent = entry.text;
+    button.appendChild(text);
+
+    if (entry.expiry) {
+        const countdown = document.createElement('span');
+        countdown.className = 'chain-health-entry-detail';
+        button.appendChild(countdown);
+        attachCountdown(countdown, entry.expiry, {
+            tag: TIMER_TAGS.HEALTH,
+            style: 'compact',
+            showTitle: false,
+            onExpire: () => renderChainHealth()
+        });
+    } else if (entry.detail) {
+        const detail = document.createElement('span');
+        detail.className = 'chain-health-entry-detail';
+        detail.textContent = entry.detail;
+        button.appendChild(detail);
+    }
+    return button;
+}
+
+function renderSection(section, entries) {
+    const container = document.createElement('section');
+    container.className = 'chain-health-section';
+    container.dataset.healthSection = section.id;
+    container.classList.toggle('has-issues', entries.length > 0);
+
+    const heading = document.createElement('h3');
+    heading.textContent = `${section.title} (${entries.length})`;
+    container.appendChild(heading);
+
+    if (!entries.length) {
+        const empty = document.createElement('p');
+        empty.className = 'chain-health-empty';
+        empty.textContent = section.empty;
+        container.appendChild(empty);
+        return container;
+    }
+
+    const list = document.createElement('ul');
+    list.className = 'chain-health-list';
+    entries.forEach((entry) => {
+        const item = document.createElement('li');
+        item.appendChild(createEntryButton(entry));
+        list.appendChild(item);
+    });
+    container.appendChild(list);
+    return container;
+}
+
+function renderSummary(health) {
+    healthDom.summary.innerHTML = '';
+    HEALTH_SECTIONS.forEach((section) => {
+        const count = health[section.id].length;
+        const chip = document.createElement('span');
+        chip.className = 'chain-health-count';
+        chip.classList.toggle('has-issues', count > 0);
+        chip.dataset.healthSection = section.id;
+        chip.textContent = `${section.title}: ${count}`;
+        healthDom.summary.appendChild(chip);
+    });
+}
+
+function renderChainHealth() {
+    if (!healthState.initialized) {
+        return;
+    }
+    const now = Date.now();
+    let unscanned = [];
+    try {
+        unscanned = listUnscannedSignatures(healthState.data);
+    } catch (error) {
+        console.error('Failed to read signature history for chain health', error);
+    }
+    const health = collectChainHealth(healthState.data, { now, unscanned });
+
+    // Drops the row countdowns and the expiry window watch together.
+    clearCountdowns(TIMER_TAGS.HEALTH);
+    renderSummary(health);
+    healthDom.sections.innerHTML = '';
+    HEALTH_SECTIONS.forEach((section) => {
+        healthDom.sections.appendChild(renderSection(section, health[section.id]));
+    });
+
+    const nextWindowStart = getNextExpiryWindowStart(healthState.data, now);
+    if (nextWindowStart !== null) {
+        watchExpiry(
+            { type: 'timestamp', timestamp: nextWindowStart, rawValue: null },
+            { tag: TIMER_TAGS.HEALTH, onExpire: () => renderChainHealth() }
+        );
+    }
+}
+
+function updateChainHealth(data) {
+    healthState.data = Array.isArray(data) ? data : [];
+    renderChainHealth();
+}
+
+function initChainHealth() {
+    healthDom.summary = document.getElementById('chainHealthSummary');
+    healthDom.sections = document.getElementById('chainHealthSections');
+    if (!healthDom.summary || !healthDom.sections) {
+        return;
+    }
+
+    healthState.initialized = true;
+    window.addEventListener('signatureHistoryChanged', renderChainHealth);
+    window.addEventListener('timeDisplayModeChanged', renderChainHealth);
+    renderChainHealth();
+}
+
+document.addEventListener('DOMContentLoaded', () => onStorageReady(initChainHealth));
+
+window.updateChainHealth = updateChainHealth;
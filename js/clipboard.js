@@ -1,68 +1,264 @@
+import { ensureKnownSystemNames } from './bookmarkColumns.js';
+import { anchorRelativeDates } from './bookmarkTimers.js';
+import { BOOKMARK_KEYS, SOURCE_KEY, parseBookmarkText } from './bookmarkParser.js';
+import { buildImportReport } from './bookmarkValidation.js';
+import { closeImportReview, openImportReview } from './importReview.js';
+import { buildBookmarkIdentity } from './versionDiff.js';
+
+const IMPORT_MODE = {
+    REPLACE: 'replace',
+    MERGE: 'merge'
+};
+
+let importMessageTimeout = null;
+
 async function readClipboardAndDisplayTable() {
-    const header = "Label, Type, Jumps, SOL, CON, REG, Date, Expiry, Creator";
     displayErrorMessage(''); // Clear any previous error message
     try {
         const data = await navigator.clipboard.readText();
-        const keys = header.split(',').map(key => key.trim());
-        const lines = data.split('\n').filter(line => line.trim() !== '');
-        const parsedData = lines.map(line => {
-            const values = line.split('\t');
-            const obj = {};
-            keys.forEach((key, index) => {
-                obj[key] = values[index] ? values[index].trim() : null;
-            });
-            return obj;
-        }).filter(row => {
-            return !row['Label'].startsWith('/') && row['Type']; // Exclude bookmarks that start with "/" and those with empty "Type"
-        });
+        const result = await importBookmarkText(data, 'Clipboard');
 
-        if (parsedData.length === 0) {
+        if (result.status === 'empty') {
             throw new Error('Clipboard data is not in the proper bookmark format.');
         }
-
-        const db = await dbPromise;
-        const timestamp = new Date().toISOString();
-        await db.add('versions', { timestamp, data: parsedData });
-
-        const preservedSelectionCandidates = [
-            window.__bookmarkViewerSelectedSystem,
-            typeof window.getMapSelectedSystem === 'function' ? window.getMapSelectedSystem() : null,
-            typeof window.getCurrentTableFilter === 'function' ? window.getCurrentTableFilter() : null
-        ];
-        const preservedSelection = preservedSelectionCandidates.find((candidate) => {
-            return typeof candidate === 'string' && candidate.trim().length > 0;
-        }) || null;
-        const normalizedSelection = preservedSelection ? preservedSelection.trim() : null;
-        const matchingSelectionRow = normalizedSelection
-            ? parsedData.find((row) => {
-                if (!row || row['SOL'] === undefined || row['SOL'] === null) {
-                    return false;
-                }
-                const systemName = row['SOL'].toString().trim();
-                return systemName.toLowerCase() === normalizedSelection.toLowerCase();
-            })
-            : null;
-        const selectionToRestore = matchingSelectionRow
-            ? matchingSelectionRow['SOL'].toString().trim()
-            : null;
-
-        window.__bookmarkViewerSelectedSystem = selectionToRestore || null;
-
-        displayTable(keys, parsedData, selectionToRestore);
-        displayMap(parsedData, { preserveSelection: Boolean(selectionToRestore) });
-        if (typeof window.updateBookmarkStats === 'function') {
-            window.updateBookmarkStats(parsedData);
+        if (result.status === 'imported') {
+            displayErrorMessage(''); // Clear any previous error message
         }
-
-        updateTimestampDisplay(timestamp);
-        displayErrorMessage(''); // Clear any previous error message
     } catch (error) {
         console.error('Error reading clipboard data:', error);
         displayErrorMessage('Failed to read clipboard data. Ensure you have copied a table in the correct format.');
     }
 }
 
-function displayErrorMessage(message) {
+// Imports straight away when the text is clean; otherwise opens the review panel
+// so the user can decide. Resolves with what happened and the row/issue counts.
+export async function importBookmarkText(text, sourceLabel) {
+    const knownSystems = await ensureKnownSystemNames();
+    const parseResult = parseBookmarkText(text, { knownSystems });
+    const report = buildImportReport(parseResult, { knownSystems });
+
+    if (report.rows.length === 0 && report.issues.length === 0) {
+        return { status: 'empty', rowCount: 0, issueCount: 0 };
+    }
+
+    if (report.issues.length) {
+        openImportReview({
+            summary: `${sourceLabel}: ${describeImportAction()}`,
+            rows: report.rows,
+            issues: report.issues,
+            onConfirm: () => importReviewedRows(report.rows)
+        });
+        return { status: 'review', rowCount: report.rows.length, issueCount: report.issues.length };
+    }
+
+    closeImportReview();
+    await applyBookmarkImport(report.rows, getImportOptions());
+    return { status: 'imported', rowCount: report.rows.length, issueCount: 0 };
+}
+
+export async function importReviewedRows(rows) {
+    try {
+        await applyBookmarkImport(rows, getImportOptions());
+    } catch (error) {
+        console.error('Error importing bookmarks:', error);
+        displayErrorMessage('Failed to import bookmarks.');
+    }
+}
+
+export function describeImportAction() {
+    const { mode } = getImportOptions();
+    return mode === IMPORT_MODE.MERGE
+        ? 'import will merge into the current bookmarks;'
+        : 'import will replace the current bookmarks;';
+}
+
+export function getImportOptions() {
+    const modeSelect = document.getElementById('bookmarkImportMode');
+    const sourceInput = document.getElementById('bookmarkImportSource');
+    const retireInput = document.getElementById('bookmarkImportRetire');
+    return {
+        mode: modeSelect && modeSelect.value === IMPORT_MODE.MERGE ? IMPORT_MODE.MERGE : IMPORT_MODE.REPLACE,
+        source: sourceInput ? sourceInput.value.trim() : '',
+        retireMissing: Boolean(retireInput && retireInput.checked)
+    };
+}
+
+export async function applyBookmarkImport(parsedData, options = {}) {
+    const mode = options.mode === IMPORT_MODE.MERGE ? IMPORT_MODE.MERGE : IMPORT_MODE.REPLACE;
+    const source = typeof options.source === 'string' ? options.source.trim() : '';
+    const timestamp = new Date().toISOString();
+    const anchor = Date.parse(timestamp);
+    const incomingRows = tagRowsWithSource(parsedData, source).map((row) => anchorRelativeDates(row, anchor));
+
+    let dataset = incomingRows;
+    let summary = {
+        added: incomingRows.length,
+        changed: 0,
+        removed: 0,
+        unchanged: 0
+    };
+
+    if (mode === IMPORT_MODE.MERGE) {
+        const existingRows = await getDataFromDB();
+        const merged = mergeBookmarkRows(existingRows, incomingRows, {
+            source,
+            retireMissing: Boolean(options.retireMissing)
+        });
+        dataset = merged.rows;
+        summary = merged.summary;
+    }
+
+    await addVersion({
+        timestamp,
+        data: dataset,
+        importMode: mode,
+        source,
+        summary
+    });
+
+    const preservedSelectionCandidates = [
+        window.__bookmarkViewerSelectedSystem,
+        typeof window.getMapSelectedSystem === 'function' ? window.getMapSelectedSystem() : null,
+        typeof window.getCurrentTableFilter === 'function' ? window.getCurrentTableFilter() : null
+    ];
+    const preservedSelection = preservedSelectionCandidates.find((candidate) => {
+        return typeof candidate === 'string' && candidate.trim().length > 0;
+    }) || null;
+    const normalizedSelection = preservedSelection ? preservedSelection.trim() : null;
+    const matchingSelectionRow = normalizedSelection
+        ? dataset.find((row) => {
+            if (!row || row['SOL'] === undefined || row['SOL'] === null) {
+                return false;
+            }
+            const systemName = row['SOL'].toString().trim();
+            return systemName.toLowerCase() === normalizedSelection.toLowerCase();
+        })
+        : null;
+    const selectionToRestore = matchingSelectionRow
+        ? matchingSelectionRow['SOL'].toString().trim()
+        : null;
+
+    window.__bookmarkViewerSelectedSystem = selectionToRestore || null;
+
+    displayTable(BOOKMARK_KEYS, dataset, selectionToRestore);
+    displayMap(dataset, { preserveSelection: Boolean(selectionToRestore) });
+    if (typeof window.updateBookmarkStats === 'function') {
+        window.updateBookmarkStats(dataset);
+    }
+
+    updateTimestampDisplay(timestamp);
+    showImportSummary(mode, source, summary, dataset.length);
+    return { timestamp, data: dataset, summary };
+}
+
+function tagRowsWithSource(rows, source) {
+    return rows.map((row) => {
+        const tagged = { ...row };
+        if (source) {
+            tagged[SOURCE_KEY] = source;
+        }
+        return tagged;
+    });
+}
+
+// Rows are matched on the identity the version diff uses, so a relabelled
+// bookmark or one that gained an EOL flag counts as changed rather than as a
+// new row. Repeated identities are paired up in order so duplicate bookmarks
+// are not collapsed together. Retiring needs a source tag: untagged rows are
+// never retired.
+function mergeBookmarkRows(existingRows, incomingRows, { source = '', retireMissing = false } = {}) {
+    const incomingByKey = new Map();
+    const incomingOccurrences = new Map();
+    incomingRows.forEach((row) => {
+        const key = buildOccurrenceKey(buildBookmarkIdentity(row), incomingOccurrences);
+        incomingByKey.set(key, row);
+    });
+
+    const rows = [];
+    const matchedKeys = new Set();
+    const existingOccurrences = new Map();
+    const summary = {
+        added: 0,
+        changed: 0,
+        removed: 0,
+        unchanged: 0
+    };
+
+    (Array.isArray(existingRows) ? existingRows : []).forEach((row) => {
+        const key = buildOccurrenceKey(buildBookmarkIdentity(row), existingOccurrences);
+        const incoming = incomingByKey.get(key);
+        if (incoming) {
+            matchedKeys.add(key);
+            if (haveRowsChanged(row, incoming)) {
+                summary.changed += 1;
+            } else {
+                summary.unchanged += 1;
+            }
+            rows.push(incoming);
+            return;
+        }
+        const rowSource = (row?.[SOURCE_KEY] || '').toString().trim();
+        if (retireMissing && source && rowSource === source) {
+            summary.removed += 1;
+            return;
+        }
+        rows.push(row);
+    });
+
+    incomingByKey.forEach((row, key) => {
+        if (matchedKeys.has(key)) {
+            return;
+        }
+        summary.added += 1;
+        rows.push(row);
+    });
+
+    return { rows, summary };
+}
+
+function buildOccurrenceKey(baseKey, occurrences) {
+    const count = occurrences.get(baseKey) || 0;
+    occurrences.set(baseKey, count + 1);
+    return `${baseKey}#${count}`;
+}
+
+function haveRowsChanged(previous, next) {
+    return BOOKMARK_KEYS.concat(SOURCE_KEY).some((key) => {
+        const before = previous?.[key] ?? '';
+        const after = next?.[key] ?? '';
+        return before.toString() !== after.toString();
+    });
+}
+
+function showImportSummary(mode, source, summary, totalRows) {
+    const sourceLabel = source ? ` from ${source}` : '';
+    let message;
+    if (mode === IMPORT_MODE.MERGE) {
+        message = `Merged${sourceLabel}: ${summary.added} added, ${summary.changed} changed, ${summary.removed} removed (${totalRows} total).`;
+    } else {
+        message = `Loaded ${totalRows} bookmark${totalRows === 1 ? '' : 's'}${sourceLabel}.`;
+    }
+    displayImportMessage(message);
+}
+
+function displayImportMessage(message, timeoutMs = 8000) {
+    const messageContainer = document.getElementById('bookmarkImportMessage');
+    if (!messageContainer) {
+        return;
+    }
+    if (importMessageTimeout) {
+        clearTimeout(importMessageTimeout);
+        importMessageTimeout = null;
+    }
+    messageContainer.textContent = message || '';
+    if (message && timeoutMs) {
+        importMessageTimeout = setTimeout(() => {
+            messageContainer.textContent = '';
+        }, timeoutMs);
+    }
+}
+
+export function displayErrorMessage(message) {
     const errorContainer = document.getElementById('errorContainer');
     errorContainer.textContent = message;
     if (message) {
@@ -76,4 +272,32 @@ function displayErrorMessage(message) {
     }
 }
 
+function syncImportControls() {
+    const modeSelect = document.getElementById('bookmarkImportMode');
+    const sourceInput = document.getElementById('bookmarkImportSource');
+    const retireInput = document.getElementById('bookmarkImportRetire');
+    if (!modeSelect || !retireInput) {
+        return;
+    }
+    // Retiring is scoped to a folder, so it needs one to be named.
+    const canRetire = modeSelect.value === IMPORT_MODE.MERGE && Boolean(sourceInput && sourceInput.value.trim());
+    retireInput.disabled = !canRetire;
+    if (!canRetire) {
+        retireInput.checked = false;
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const modeSelect = document.getElementById('bookmarkImportMode');
+    if (modeSelect) {
+        modeSelect.addEventListener('change', syncImportControls);
+    }
+    const sourceInput = document.getElementById('bookmarkImportSource');
+    if (sourceInput) {
+        sourceInput.addEventListener('input', syncImportControls);
+    }
+    syncImportControls();
+});
+
 window.readClipboardAndDisplayTable = readClipboardAndDisplayTable;
+window.applyBookmarkImport = applyBookmarkImport;
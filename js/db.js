@@ -1,40 +1,94 @@
-const dbPromise = idb.openDB('clipboardData', 2, {
-    upgrade(db, oldVersion) {
-        if (oldVersion < 1) {
-            db.createObjectStore('data', { keyPath: 'id', autoIncrement: true });
-        }
-        if (oldVersion < 2) {
-            db.createObjectStore('versions', { keyPath: 'timestamp' });
+import { getActiveWorkspaceId, openDatabase, whenStorageReady } from './storage.js';
+import { hydrateVersion, splitRowsForStorage } from './versionRows.js';
+import { anchorRelativeDates } from './bookmarkTimers.js';
+
+const dbPromise = openDatabase();
+
+async function getWorkspaceId() {
+    await whenStorageReady();
+    return getActiveWorkspaceId();
+}
+
+async function getWorkspaceVersionRecords(db, workspaceId) {
+    return db.getAllFromIndex('versions', 'workspace', workspaceId);
+}
+
+async function hydrateVersions(db, records) {
+    const hashes = new Set();
+    records.forEach((record) => {
+        if (record && Array.isArray(record.rowRefs)) {
+            record.rowRefs.forEach((hash) => hashes.add(hash));
         }
+    });
+    const rowLookup = new Map();
+    if (hashes.size) {
+        const tx = db.transaction('rows');
+        await Promise.all(Array.from(hashes).map(async (hash) => {
+            const entry = await tx.store.get(hash);
+            if (entry) {
+                rowLookup.set(hash, entry.row);
+            }
+        }));
+        await tx.done;
     }
-});
+    return records.map((record) => anchorVersionDates(hydrateVersion(record, rowLookup)));
+}
 
-async function getDataFromDB(versionTimestamp = null) {
+// Versions saved before relative dates were resolved at import still hold text
+// like "2h 30m"; count it from when that version was saved.
+function anchorVersionDates(version) {
+    if (!version || !Array.isArray(version.data)) {
+        return version;
+    }
+    const anchor = Date.parse(version.timestamp);
+    return { ...version, data: version.data.map((row) => anchorRelativeDates(row, anchor)) };
+}
+
+async function addVersion(record) {
     const db = await dbPromise;
-    if (versionTimestamp) {
-        const version = await db.get('versions', versionTimestamp);
-        return version ? version.data : [];
-    } else {
-        const versions = await db.getAll('versions');
-        return versions.length > 0 ? versions[versions.length - 1].data : [];
+    const workspace = await getWorkspaceId();
+    const { data, ...rest } = record;
+    const { rowRefs, rows } = splitRowsForStorage(data);
+    const tx = db.transaction(['versions', 'rows'], 'readwrite');
+    const rowStore = tx.objectStore('rows');
+    rows.forEach((entry) => {
+        rowStore.put(entry);
+    });
+    tx.objectStore('versions').add({ ...rest, workspace, rowRefs });
+    await tx.done;
+    if (typeof window.enforceVersionRetention === 'function') {
+        await window.enforceVersionRetention();
     }
+    return { ...rest, workspace, data };
+}
+
+async function getDataFromDB(versionTimestamp = null) {
+    const version = versionTimestamp ? await getVersion(versionTimestamp) : await getLatestVersion();
+    return version ? version.data : [];
 }
 
 async function clearDatabase() {
     const db = await dbPromise;
     await db.clear('data');
-    await db.clear('versions');
+    await deleteWorkspaceVersions(await getWorkspaceId());
     const tableContainer = document.getElementById('tableContainer');
     const mapContainer = document.getElementById('mapContainer');
     tableContainer.innerHTML = '';
     mapContainer.innerHTML = '';
-    document.getElementById('timestampDisplay').textContent = 'Data Timestamp: ';
+    if (typeof window.updateTimestampDisplay === 'function') {
+        window.updateTimestampDisplay(null);
+    } else {
+        document.getElementById('timestampDisplay').textContent = 'Data Timestamp: ';
+    }
     if (typeof window.updateBookmarkSignatureMatches === 'function') {
         window.updateBookmarkSignatureMatches(new Map());
     }
     if (typeof window.setSignatureBookmarkData === 'function') {
         window.setSignatureBookmarkData([]);
     }
+    if (typeof window.updateChainHealth === 'function') {
+        window.updateChainHealth([]);
+    }
     if (typeof window.setSignatureActiveSystem === 'function') {
         window.setSignatureActiveSystem(null);
     }
@@ -47,12 +101,183 @@ async function clearDatabase() {
 }
 
 async function saveDataToDB(parsedData) {
-    const db = await dbPromise;
     const timestamp = new Date().toISOString();
-    await db.add('versions', { timestamp, data: parsedData });
+    await addVersion({ timestamp, data: parsedData });
+}
+
+async function listVersions(workspaceId = null) {
+    const db = await dbPromise;
+    const records = await getWorkspaceVersionRecords(db, workspaceId || await getWorkspaceId());
+    return hydrateVersions(db, records);
+}
+
+// Version metadata without loading any rows; rowCount comes from the refs.
+async function listVersionSummaries(workspaceId = null) {
+    const db = await dbPromise;
+    const records = await getWorkspaceVersionRecords(db, workspaceId || await getWorkspaceId());
+    return records.map(({ rowRefs, data, ...rest }) => ({
+        ...rest,
+        rowCount: Array.isArray(rowRefs) ? rowRefs.length : (Array.isArray(data) ? data.length : 0)
+    }));
+}
+
+async function getVersion(timestamp) {
+    const db = await dbPromise;
+    const record = await db.get('versions', [await getWorkspaceId(), timestamp]);
+    if (!record) {
+        return null;
+    }
+    const [version] = await hydrateVersions(db, [record]);
+    return version;
+}
+
+async function getLatestVersion() {
+    const db = await dbPromise;
+    const workspace = await getWorkspaceId();
+    const cursor = await db.transaction('versions').store.index('workspace').openCursor(IDBKeyRange.only(workspace), 'prev');
+    if (!cursor) {
+        return null;
+    }
+    const [version] = await hydrateVersions(db, [cursor.value]);
+    return version;
+}
+
+async function updateVersionLabel(timestamp, label) {
+    const db = await dbPromise;
+    const version = await db.get('versions', [await getWorkspaceId(), timestamp]);
+    if (!version) {
+        return null;
+    }
+    const trimmed = typeof label === 'string' ? label.trim() : '';
+    if (trimmed) {
+        version.label = trimmed;
+    } else {
+        delete version.label;
+    }
+    await db.put('versions', version);
+    return version;
+}
+
+async function deleteVersion(timestamp) {
+    await deleteVersions([timestamp]);
+}
+
+async function deleteVersions(timestamps) {
+    const workspace = await getWorkspaceId();
+    await deleteVersionKeys(timestamps.map((timestamp) => [workspace, timestamp]));
+}
+
+async function deleteWorkspaceVersions(workspaceId) {
+    const db = await dbPromise;
+    await deleteVersionKeys(await db.getAllKeysFromIndex('versions', 'workspace', workspaceId));
+}
+
+async function deleteVersionKeys(keys) {
+    if (!keys.length) {
+        return;
+    }
+    const db = await dbPromise;
+    const tx = db.transaction('versions', 'readwrite');
+    keys.forEach((key) => {
+        tx.store.delete(key);
+    });
+    await tx.done;
+    await compactRowStore();
+}
+
+// Drops rows that no remaining version references.
+async function compactRowStore() {
+    const db = await dbPromise;
+    const tx = db.transaction(['versions', 'rows'], 'readwrite');
+    const referenced = new Set();
+    const versions = await tx.objectStore('versions').getAll();
+    versions.forEach((version) => {
+        (version.rowRefs || []).forEach((hash) => referenced.add(hash));
+    });
+    const rowStore = tx.objectStore('rows');
+    const hashes = await rowStore.getAllKeys();
+    let removed = 0;
+    hashes.forEach((hash) => {
+        if (!referenced.has(hash)) {
+            rowStore.delete(hash);
+            removed += 1;
+        }
+    });
+    await tx.done;
+    return removed;
+}
+
+async function countStoredRows() {
+    const db = await dbPromise;
+    return db.count('rows');
+}
+
+// Writes versions from a backup archive or another workspace into the active
+// workspace. A version whose timestamp this workspace already has is the same
+// snapshot: it is skipped, unless `replace` clears the workspace's history first.
+// Retention is not applied to the copied history.
+async function importVersions(records, { replace = false } = {}) {
+    const workspace = await getWorkspaceId();
+    if (replace) {
+        await deleteWorkspaceVersions(workspace);
+    }
+    const db = await dbPromise;
+    const existingKeys = await db.getAllKeysFromIndex('versions', 'workspace', workspace);
+    const seen = new Set(existingKeys.map(([, timestamp]) => timestamp));
+    const tx = db.transaction(['versions', 'rows'], 'readwrite');
+    const versionStore = tx.objectStore('versions');
+    const rowStore = tx.objectStore('rows');
+    let added = 0;
+    records.forEach((record) => {
+        if (seen.has(record.timestamp)) {
+            return;
+        }
+        seen.add(record.timestamp);
+        const { data, ...rest } = record;
+        const { rowRefs, rows } = splitRowsForStorage(data);
+        rows.forEach((entry) => {
+            rowStore.put(entry);
+        });
+        versionStore.put({ ...rest, workspace, rowRefs });
+        added += 1;
+    });
+    await tx.done;
+    return added;
+}
+
+// Copies an older snapshot forward as the newest version so history stays intact.
+async function restoreVersion(timestamp) {
+    const version = await getVersion(timestamp);
+    if (!version) {
+        return null;
+    }
+    // The copy is not labelled itself: labels exempt versions from retention,
+    // and that should stay the user's choice.
+    const restored = {
+        timestamp: new Date().toISOString(),
+        data: version.data,
+        restoredFrom: version.timestamp
+    };
+    if (version.label) {
+        restored.restoredFromLabel = version.label;
+    }
+    return addVersion(restored);
 }
 
 window.dbPromise = dbPromise;
 window.getDataFromDB = getDataFromDB;
 window.clearDatabase = clearDatabase;
 window.saveDataToDB = saveDataToDB;
+window.addVersion = addVersion;
+window.listVersions = listVersions;
+window.listVersionSummaries = listVersionSummaries;
+window.getVersion = getVersion;
+window.getLatestVersion = getLatestVersion;
+window.updateVersionLabel = updateVersionLabel;
+window.deleteVersion = deleteVersion;
+window.deleteVersions = deleteVersions;
+window.compactRowStore = compactRowStore;
+window.countStoredRows = countStoredRows;
+window.restoreVersion = restoreVersion;
+window.importVersions = importVersions;
+window.deleteWorkspaceVersions = deleteWorkspaceVersions;
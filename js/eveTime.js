@@ -0,0 +1,237 @@
+import { STORES, onStorageReady, readStored, writeStored } from './storage.js';
+
+const TIME_DISPLAY_STORAGE_KEY = 'timeDisplay';
+const CLOCK_INTERVAL_MS = 1000;
+
+export const TIME_DISPLAY_MODES = {
+    EVE: 'eve',
+    LOCAL: 'local'
+};
+
+const RELATIVE_UNITS_MS = {
+    s: 1000,
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+    w: 7 * 24 * 60 * 60 * 1000
+};
+
+const RELATIVE_UNIT_ALIASES = {
+    s: 's', sec: 's', secs: 's', second: 's', seconds: 's',
+    m: 'm', min: 'm', mins: 'm', minute: 'm', minutes: 'm',
+    h: 'h', hr: 'h', hrs: 'h', hour: 'h', hours: 'h',
+    d: 'd', day: 'd', days: 'd',
+    w: 'w', wk: 'w', wks: 'w', week: 'w', weeks: 'w'
+};
+
+// The EVE client writes dates as 2024.05.01 13:45; dashes and slashes are
+// accepted too. Seconds and the time of day are optional.
+const EVE_DATE_PATTERN = /^(\d{4})[.\-/](\d{1,2})[.\-/](\d{1,2})(?:[ T]+(\d{1,2}):(\d{2})(?::(\d{2}))?)?$/;
+const EXPLICIT_ZONE_PATTERN = /(?:Z|GMT|[+-]\d{2}:?\d{2})$/i;
+
+const timeDisplayState = {
+    mode: TIME_DISPLAY_MODES.EVE,
+    clockHandle: null
+};
+
+const timeDisplayDom = {
+    clock: null,
+    toggle: null
+};
+
+/**
+ * Parses "2h 30m", "in 3 days", "45 minutes" or "2 days ago" into a signed
+ * offset in milliseconds, or null when the text is not a duration.
+ */
+export function parseRelativeDuration(text) {
+    let remaining = (text || '').toString().trim().toLowerCase();
+    if (!remaining) {
+        return null;
+    }
+    let sign = 1;
+    if (remaining.startsWith('in ')) {
+        remaining = remaining.slice(3);
+    } else if (remaining.endsWith(' ago')) {
+        remaining = remaining.slice(0, -4);
+        sign = -1;
+    }
+    remaining = remaining.replace(/,|\band\b/g, ' ').trim();
+    if (!remaining) {
+        return null;
+    }
+
+    let total = 0;
+    const partPattern = /^(\d+(?:\.\d+)?)\s*([a-z]+)\s*/;
+    while (remaining) {
+        const match = remaining.match(partPattern);
+        const unit = match ? RELATIVE_UNIT_ALIASES[match[2]] : null;
+        if (!unit) {
+            return null;
+        }
+        total += Number.parseFloat(match[1]) * RELATIVE_UNITS_MS[unit];
+        remaining = remaining.slice(match[0].length);
+    }
+    return sign * total;
+}
+
+/**
+ * Parses a date the way the EVE client means it: in EVE time (UTC) unless the
+ * text names another zone. Relative durations are counted from `now`.
+ * Returns a millisecond timestamp or null.
+ */
+export function parseEveTimestamp(rawValue, now = Date.now()) {
+    const text = (rawValue ?? '').toString().trim();
+    if (!text) {
+        return null;
+    }
+
+    const dateMatch = text.match(EVE_DATE_PATTERN);
+    if (dateMatch) {
+        const [, year, month, day, hour = '0', minute = '0', second = '0'] = dateMatch;
+        const timestamp = Date.UTC(
+            Number(year),
+            Number(month) - 1,
+            Number(day),
+            Number(hour),
+            Number(minute),
+            Number(second)
+        );
+        return Number.isNaN(timestamp) ? null : timestamp;
+    }
+
+    const offset = parseRelativeDuration(text);
+    if (offset !== null) {
+        return now + offset;
+    }
+
+    const timestamp = EXPLICIT_ZONE_PATTERN.test(text) ? Date.parse(text) : Date.parse(`${text} UTC`);
+    return Number.isNaN(timestamp) ? null : timestamp;
+}
+
+function pad(value) {
+    return value.toString().padStart(2, '0');
+}
+
+export function formatEveTimestamp(timestamp, { seconds = false } = {}) {
+    const date = new Date(timestamp);
+    const day = `${date.getUTCFullYear()}.${pad(date.getUTCMonth() + 1)}.${pad(date.getUTCDate())}`;
+    const time = `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}${seconds ? `:${pad(date.getUTCSeconds())}` : ''}`;
+    return `${day} ${time}`;
+}
+
+export function getTimeDisplayMode() {
+    return timeDisplayState.mode;
+}
+
+/**
+ * Formats a timestamp (milliseconds or anything `Date` accepts) in the
+ * display mode the user picked. `zone` appends EVE or the local zone name.
+ */
+export function formatTimestamp(value, { seconds = false, zone = false } = {}) {
+    const date = new Date(value);
+    if (value === null || value === undefined || Number.isNaN(date.getTime())) {
+        return '';
+    }
+    if (timeDisplayState.mode === TIME_DISPLAY_MODES.EVE) {
+        const formatted = formatEveTimestamp(date.getTime(), { seconds });
+        return zone ? `${formatted} EVE` : formatted;
+    }
+    return date.toLocaleString(undefined, {
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: seconds ? '2-digit' : undefined,
+        hour12: false,
+        timeZoneName: zone ? 'short' : undefined
+    });
+}
+
+export function setTimeDisplayMode(mode) {
+    const nextMode = Object.values(TIME_DISPLAY_MODES).includes(mode) ? mode : TIME_DISPLAY_MODES.EVE;
+    if (nextMode === timeDisplayState.mode) {
+        return;
+    }
+    timeDisplayState.mode = nextMode;
+    writeStored(STORES.PREFERENCES, TIME_DISPLAY_STORAGE_KEY, nextMode);
+    renderTimeDisplayToggle();
+    window.dispatchEvent(new CustomEvent('timeDisplayModeChanged', {
+        detail: { mode: nextMode }
+    }));
+}
+
+function renderTimeDisplayToggle() {
+    const { toggle } = timeDisplayDom;
+    if (!toggle) {
+        return;
+    }
+    const isLocal = timeDisplayState.mode === TIME_DISPLAY_MODES.LOCAL;
+    toggle.textContent = isLocal ? 'Times: Local' : 'Times: EVE';
+    toggle.setAttribute('aria-pressed', isLocal ? 'true' : 'false');
+    toggle.title = isLocal
+        ? 'Dates are shown in your local time. Click to show EVE time (UTC).'
+        : 'Dates are shown in EVE time (UTC). Click to show your local time.';
+}
+
+function updateEveClock() {
+    if (!timeDisplayDom.clock) {
+        return;
+    }
+    const now = new Date();
+    timeDisplayDom.clock.textContent = `EVE ${pad(now.getUTCHours())}:${pad(now.getUTCMinutes())}:${pad(now.getUTCSeconds())}`;
+}
+
+function initTimeDisplay() {
+    timeDisplayDom.clock = document.getElementById('eveClock');
+    timeDisplayDom.toggle = document.getElementById('timeDisplayToggle');
+
+    const storedMode = readStored(STORES.PREFERENCES, TIME_DISPLAY_STORAGE_KEY, null);
+    if (storedMode === TIME_DISPLAY_MODES.LOCAL && storedMode !== timeDisplayState.mode) {
+        timeDisplayState.mode = storedMode;
+        window.dispatchEvent(new CustomEvent('timeDisplayModeChanged', {
+            detail: { mode: storedMode }
+        }));
+    }
+
+    if (timeDisplayDom.toggle) {
+        renderTimeDisplayToggle();
+        timeDisplayDom.toggle.addEventListener('click', () => {
+            setTimeDisplayMode(timeDisplayState.mode === TIME_DISPLAY_MODES.EVE
+                ? TIME_DISPLAY_MODES.LOCAL
+                : TIME_DISPLAY_MODES.EVE);
+        });
+    }
+
+    if (timeDisplayDom.clock) {
+        handleClockVisibilityChange();
+        document.addEventListener('visibilitychange', handleClockVisibilityChange);
+    }
+}
+
+function startEveClock() {
+    if (timeDisplayState.clockHandle !== null) {
+        return;
+    }
+    updateEveClock();
+    timeDisplayState.clockHandle = setInterval(updateEveClock, CLOCK_INTERVAL_MS);
+}
+
+function stopEveClock() {
+    if (timeDisplayState.clockHandle === null) {
+        return;
+    }
+    clearInterval(timeDisplayState.clockHandle);
+    timeDisplayState.clockHandle = null;
+}
+
+// Like the countdown scheduler, the clock does not tick in a hidden tab.
+function handleClockVisibilityChange() {
+    if (document.hidden) {
+        stopEveClock();
+    } else {
+        startEveClock();
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => onStorageReady(initTimeDisplay));
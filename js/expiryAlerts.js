@@ -0,0 +1,622 @@
+import { STORES, onStorageReady, readStored, writeStored } from './storage.js';
+import { TIMER_TAGS, attachCountdown, clearCountdowns, formatDuration, getRowExpiry, watchExpiry } from './bookmarkTimers.js';
+import { showToast } from './toast.js';
+
+const ALERTS_STORAGE_KEY = 'expiryAlerts';
+const ALERT_STATE_STORAGE_KEY = 'expiryAlertState';
+const MINUTE_MS = 60 * 1000;
+const ALERT_TOAST_TIMEOUT_MS = 10000;
+
+export const ALERT_CATEGORIES = {
+    ANY: 'any',
+    WORMHOLE: 'wormhole',
+    HOME: 'home'
+};
+
+const CATEGORY_LABELS = {
+    [ALERT_CATEGORIES.ANY]: 'Any bookmark',
+    [ALERT_CATEGORIES.WORMHOLE]: 'Wormhole connections',
+    [ALERT_CATEGORIES.HOME]: '@HOME markers'
+};
+
+const DEFAULT_RULE = {
+    category: ALERT_CATEGORIES.WORMHOLE,
+    systems: [],
+    thresholds: [60, 15, 5]
+};
+
+const DEFAULT_SETTINGS = {
+    toast: true,
+    notification: false,
+    sound: false,
+    snoozeMinutes: 10,
+    rules: [DEFAULT_RULE]
+};
+
+const alertsState = {
+    settings: null,
+    watchers: new Map(),
+    active: new Map(),
+    fired: {},
+    dismissed: {},
+    snoozed: {},
+    refreshToken: 0,
+    isOpen: false,
+    previousFocus: null
+};
+
+const alertsDom = {
+    button: null,
+    badge: null,
+    modal: null,
+    closeButton: null,
+    list: null,
+    empty: null,
+    dismissAllButton: null,
+    toastInput: null,
+    notificationInput: null,
+    soundInput: null,
+    snoozeInput: null,
+    rules: null,
+    addRuleButton: null,
+    saveButton: null,
+    message: null
+};
+
+let alertsMessageTimeout = null;
+let audioContext = null;
+
+function normalizeThresholds(value) {
+    const source = Array.isArray(value) ? value : (value ?? '').toString().split(/[\s,]+/);
+    const minutes = source
+        .map((entry) => Number.parseInt(entry, 10))
+        .filter((entry) => Number.isFinite(entry) && entry >= 0);
+    return Array.from(new Set(minutes)).sort((a, b) => b - a);
+}
+
+function normalizeSystems(value) {
+    const source = Array.isArray(value) ? value : (value ?? '').toString().split(',');
+    return Array.from(new Set(source.map((entry) => entry.toString().trim().toUpperCase()).filter(Boolean)));
+}
+
+function normalizeRule(raw) {
+    const source = raw && typeof raw === 'object' ? raw : {};
+    return {
+        category: Object.values(ALERT_CATEGORIES).includes(source.category) ? source.category : DEFAULT_RULE.category,
+        systems: normalizeSystems(source.systems),
+        thresholds: normalizeThresholds(source.thresholds ?? DEFAULT_RULE.thresholds)
+    };
+}
+
+function normalizeSettings(raw) {
+    const source = raw && typeof raw === 'object' ? raw : {};
+    const snoozeMinutes = Number.parseInt(source.snoozeMinutes, 10);
+    return {
+        toast: typeof source.toast === 'boolean' ? source.toast : DEFAULT_SETTINGS.toast,
+        notification: typeof source.notification === 'boolean' ? source.notification : DEFAULT_SETTINGS.notification,
+        sound: typeof source.sound === 'boolean' ? source.sound : DEFAULT_SETTINGS.sound,
+        snoozeMinutes: Number.isFinite(snoozeMinutes) && snoozeMinutes >= 1 ? snoozeMinutes : DEFAULT_SETTINGS.snoozeMinutes,
+        rules: (Array.isArray(source.rules) ? source.rules : DEFAULT_SETTINGS.rules)
+            .map(normalizeRule)
+            .filter((rule) => rule.thresholds.length > 0)
+    };
+}
+
+export function loadAlertSettings() {
+    return normalizeSettings(readStored(STORES.PREFERENCES, ALERTS_STORAGE_KEY));
+}
+
+function getBookmarkCategory(row) {
+    const label = (row?.['Label'] || '').toString().trim();
+    if (label.startsWith('-')) {
+        return ALERT_CATEGORIES.WORMHOLE;
+    }
+    if (label.split(/\s+/)[0].toUpperCase() === '@HOME') {
+        return ALERT_CATEGORIES.HOME;
+    }
+    return null;
+}
+
+// Thresholds (in minutes) from every rule whose category and systems cover
+// the bookmark; an empty system list means any system.
+export function getAlertThresholds(row, settings) {
+    const category = getBookmarkCategory(row);
+    const system = (row?.['SOL'] || '').toString().trim().toUpperCase();
+    const thresholds = new Set();
+    settings.rules.forEach((rule) => {
+        if (rule.category !== ALERT_CATEGORIES.ANY && rule.category !== category) {
+            return;
+        }
+        if (rule.systems.length && !rule.systems.includes(system)) {
+            return;
+        }
+        rule.thresholds.forEach((minutes) => thresholds.add(minutes));
+    });
+    return Array.from(thresholds).sort((a, b) => b - a);
+}
+
+// When several thresholds were crossed since the last check (for example on
+// page load), only the nearest one is announced and the rest are marked done.
+export function selectThresholdToFire(thresholds, remainingMs, isFired) {
+    const crossed = thresholds.filter((minutes) => remainingMs <= minutes * MINUTE_MS && !isFired(minutes));
+    if (!crossed.length) {
+        return { threshold: null, crossed };
+    }
+    return { threshold: Math.min(...crossed), crossed };
+}
+
+function resolveBookmarkKey(row) {
+    if (typeof window.createBookmarkKey === 'function') {
+        return window.createBookmarkKey(row);
+    }
+    return [row?.Label ?? '', row?.Type ?? '', row?.SOL ?? '', row?.Expiry ?? '', row?.Creator ?? ''].join('|');
+}
+
+function buildAlertId(key, minutes) {
+    return `${key}#${minutes}`;
+}
+
+function loadAlertState() {
+    const stored = readStored(STORES.PREFERENCES, ALERT_STATE_STORAGE_KEY, null);
+    const now = Date.now();
+    // Entries are stored with the bookmark's expiry (or snooze end) and
+    // dropped once that has passed.
+    const keepCurrent = (value) => Object.fromEntries(
+        Object.entries(value && typeof value === 'object' ? value : {})
+            .filter(([, timestamp]) => Number.isFinite(timestamp) && timestamp > now)
+    );
+    alertsState.fired = keepCurrent(stored?.fired);
+    alertsState.dismissed = keepCurrent(stored?.dismissed);
+    alertsState.snoozed = keepCurrent(stored?.snoozed);
+}
+
+function saveAlertState() {
+    writeStored(STORES.PREFERENCES, ALERT_STATE_STORAGE_KEY, {
+        fired: alertsState.fired,
+        dismissed: alertsState.dismissed,
+        snoozed: alertsState.snoozed
+    });
+}
+
+function stopWatching(key) {
+    const watcher = alertsState.watchers.get(key);
+    if (watcher) {
+        watcher.remove();
+        alertsState.watchers.delete(key);
+    }
+}
+
+function clearWatchers() {
+    Array.from(alertsState.watchers.keys()).forEach(stopWatching);
+}
+
+// Watches the latest version rather than whichever version is being browsed,
+// so alerts always describe the bookmarks that exist in game.
+async function refreshAlertWatchers() {
+    const token = ++alertsState.refreshToken;
+    let rows = [];
+    try {
+        const latest = typeof window.getLatestVersion === 'function' ? await window.getLatestVersion() : null;
+        rows = Array.isArray(latest?.data) ? latest.data : [];
+    } catch (error) {
+        console.error('Failed to load bookmarks for expiry alerts', error);
+    }
+    if (token !== alertsState.refreshToken) {
+        return;
+    }
+
+    clearWatchers();
+    const now = Date.now();
+    const keys = new Set();
+    rows.forEach((row) => {
+        const key = resolveBookmarkKey(row);
+        keys.add(key);
+        const info = getRowExpiry(row);
+        if (info.type !== 'timestamp' || info.timestamp <= now || alertsState.dismissed[key]) {
+            return;
+        }
+        const thresholds = getAlertThresholds(row, alertsState.settings);
+        if (!thresholds.length || alertsState.watchers.has(key)) {
+            return;
+        }
+        const watcher = { row, thresholds, expiry: info.timestamp, remove: null };
+        watcher.remove = watchExpiry(info, {
+            onUpdate: (element, { remaining }) => evaluateBookmark(key, watcher, remaining),
+            onExpire: () => stopWatching(key)
+        });
+        if (watcher.remove) {
+            alertsState.watchers.set(key, watcher);
+        }
+    });
+
+    let activeChanged = false;
+    alertsState.active.forEach((alert, id) => {
+        if (!keys.has(alert.key)) {
+            alertsState.active.delete(id);
+            activeChanged = true;
+        }
+    });
+    if (activeChanged) {
+        renderActiveAlerts();
+    }
+}
+
+function evaluateBookmark(key, watcher, remaining) {
+    if (alertsState.dismissed[key]) {
+        return;
+    }
+    const snoozedUntil = alertsState.snoozed[key];
+    if (snoozedUntil && snoozedUntil > Date.now()) {
+        return;
+    }
+    const { threshold, crossed } = selectThresholdToFire(
+        watcher.thresholds,
+        remaining,
+        (minutes) => Boolean(alertsState.fired[buildAlertId(key, minutes)])
+    );
+    if (threshold === null) {
+        return;
+    }
+    crossed.forEach((minutes) => {
+        alertsState.fired[buildAlertId(key, minutes)] = watcher.expiry;
+    });
+    if (snoozedUntil) {
+        delete alertsState.snoozed[key];
+    }
+    saveAlertState();
+    fireAlert(key, watcher, threshold, remaining);
+}
+
+function describeAlert(row, remaining) {
+    const label = (row['Label'] || 'Bookmark').toString();
+    const system = row['SOL'] ? ` in ${row['SOL']}` : '';
+    return remaining > 0
+        ? `${label}${system} expires in ${formatDuration(remaining, 'compact')}`
+        : `${label}${system} has expired`;
+}
+
+function fireAlert(key, watcher, threshold, remaining) {
+    const id = buildAlertId(key, threshold);
+    // A bookmark only keeps its most recent alert in the list.
+    alertsState.active.forEach((alert, activeId) => {
+        if (alert.key === key) {
+            alertsState.active.delete(activeId);
+        }
+    });
+    alertsState.active.set(id, { id, key, row: watcher.row, threshold, expiry: watcher.expiry, firedAt: Date.now() });
+    renderActiveAlerts();
+
+    const message = describeAlert(watcher.row, remaining);
+    const { settings } = alertsState;
+    if (settings.toast) {
+        showToast(message, { type: 'error', timeoutMs: ALERT_TOAST_TIMEOUT_MS });
+    }
+    if (settings.notification) {
+        showBrowserNotification(id, message);
+    }
+    if (settings.sound) {
+        playAlertSound();
+    }
+}
+
+function showBrowserNotification(id, message) {
+    if (typeof Notification === 'undefined' || Notification.permission !== 'granted') {
+        return;
+    }
+    try {
+        const notification = new Notification('Bookmark expiring', { body: message, tag: id });
+        notification.addEventListener('click', () => {
+            window.focus();
+            openAlertsModal();
+            notification.close();
+        });
+    } catch (error) {
+        console.warn('Failed to show expiry notification', error);
+    }
+}
+
+// A short two-tone beep, generated so no audio asset has to be cached.
+function playAlertSound() {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) {
+        return;
+    }
+    try {
+        audioContext = audioContext || new AudioContextClass();
+        const start = audioContext.currentTime;
+        [880, 660].forEach((frequency, index) => {
+            const oscillator = audioContext.createOscillator();
+            const gain = audioContext.createGain();
+            oscillator.frequency.value = frequency;
+            gain.gain.setValueAtTime(0.15, start + index * 0.2);
+            gain.gain.exponentialRampToValueAtTime(0.001, start + index * 0.2 + 0.18);
+            oscillator.connect(gain).connect(audioContext.destination);
+            oscillator.start(start + index * 0.2);
+            oscillator.stop(start + index * 0.2 + 0.2);
+        });
+    } catch (error) {
+        console.warn('Failed to play expiry alert sound', error);
+    }
+}
+
+function snoozeAlert(id) {
+    const alert = alertsState.active.get(id);
+    if (!alert) {
+        return;
+    }
+    // Clearing the fired mark lets the same threshold announce again once the
+    // snooze ends.
+    delete alertsState.fired[alert.id];
+    alertsState.snoozed[alert.key] = Date.now() + alertsState.settings.snoozeMinutes * MINUTE_MS;
+    alertsState.active.delete(id);
+    saveAlertState();
+    renderActiveAlerts();
+}
+
+function dismissAlert(id) {
+    const alert = alertsState.active.get(id);
+    if (!alert) {
+        return;
+    }
+    alertsState.dismissed[alert.key] = alert.expiry;
+    alertsState.active.delete(id);
+    stopWatching(alert.key);
+    saveAlertState();
+    renderActiveAlerts();
+}
+
+function dismissAllAlerts() {
+    Array.from(alertsState.active.keys()).forEach(dismissAlert);
+}
+
+function initExpiryAlerts() {
+    alertsDom.button = document.getElementById('expiryAlertsButton');
+    alertsDom.badge = document.getElementById('expiryAlertsBadge');
+    alertsDom.modal = document.getElementById('expiryAlertsModal');
+    alertsDom.closeButton = document.getElementById('expiryAlertsCloseButton');
+    alertsDom.list = document.getElementById('expiryAlertsList');
+    alertsDom.empty = document.getElementById('expiryAlertsEmpty');
+    alertsDom.dismissAllButton = document.getElementById('expiryAlertsDismissAllButton');
+    alertsDom.toastInput = document.getElementById('expiryAlertsToast');
+    alertsDom.notificationInput = document.getElementById('expiryAlertsNotification');
+    alertsDom.soundInput = document.getElementById('expiryAlertsSound');
+    alertsDom.snoozeInput = document.getElementById('expiryAlertsSnooze');
+    alertsDom.rules = document.getElementById('expiryAlertsRules');
+    alertsDom.addRuleButton = document.getElementById('expiryAlertsAddRuleButton');
+    alertsDom.saveButton = document.getElementById('expiryAlertsSaveButton');
+    alertsDom.message = document.getElementById('expiryAlertsMessage');
+
+    alertsState.settings = loadAlertSettings();
+    loadAlertState();
+    document.addEventListener('bookmarkVersionChanged', refreshAlertWatchers);
+    refreshAlertWatchers();
+
+    if (!alertsDom.button || !alertsDom.modal || !alertsDom.list) {
+        return;
+    }
+    alertsDom.button.addEventListener('click', openAlertsModal);
+    if (alertsDom.closeButton) {
+        alertsDom.closeButton.addEventListener('click', closeAlertsModal);
+    }
+    alertsDom.modal.addEventListener('click', (event) => {
+        if (event.target === alertsDom.modal) {
+            closeAlertsModal();
+        }
+    });
+    if (alertsDom.dismissAllButton) {
+        alertsDom.dismissAllButton.addEventListener('click', dismissAllAlerts);
+    }
+    if (alertsDom.addRuleButton) {
+        alertsDom.addRuleButton.addEventListener('click', () => {
+            alertsDom.rules.appendChild(buildRuleRow({ ...DEFAULT_RULE, systems: [] }));
+        });
+    }
+    if (alertsDom.saveButton) {
+        alertsDom.saveButton.addEventListener('click', handleSaveSettings);
+    }
+    renderActiveAlerts();
+}
+
+function openAlertsModal() {
+    if (!alertsDom.modal || alertsState.isOpen) {
+        return;
+    }
+    alertsState.isOpen = true;
+    alertsState.previousFocus = document.activeElement instanceof HTMLElement ? document.activeElement : null;
+    alertsDom.modal.style.display = 'block';
+    alertsDom.modal.setAttribute('aria-hidden', 'false');
+    document.addEventListener('keydown', handleAlertsKeydown, true);
+    fillSettingsInputs(alertsState.settings);
+    renderActiveAlerts();
+    if (alertsDom.closeButton) {
+        alertsDom.closeButton.focus();
+    }
+}
+
+function closeAlertsModal() {
+    alertsState.isOpen = false;
+    alertsDom.modal.style.display = 'none';
+    alertsDom.modal.setAttribute('aria-hidden', 'true');
+    document.removeEventListener('keydown', handleAlertsKeydown, true);
+    showAlertsMessage('');
+    if (alertsState.previousFocus && typeof alertsState.previousFocus.focus === 'function') {
+        alertsState.previousFocus.focus();
+    }
+    alertsState.previousFocus = null;
+}
+
+function handleAlertsKeydown(event) {
+    if (event.key === 'Escape') {
+        event.preventDefault();
+        closeAlertsModal();
+    }
+}
+
+function renderActiveAlerts() {
+    const count = alertsState.active.size;
+    if (alertsDom.badge) {
+        alertsDom.badge.hidden = count === 0;
+        alertsDom.badge.textContent = count.toString();
+    }
+    if (alertsDom.button) {
+        alertsDom.button.classList.toggle('has-alerts', count > 0);
+    }
+    if (!alertsDom.list) {
+        return;
+    }
+    clearCountdowns(TIMER_TAGS.ALERTS);
+    alertsDom.list.innerHTML = '';
+    if (alertsDom.empty) {
+        alertsDom.empty.hidden = count > 0;
+    }
+    if (alertsDom.dismissAllButton) {
+        alertsDom.dismissAllButton.hidden = count < 2;
+    }
+
+    Array.from(alertsState.active.values())
+        .sort((a, b) => a.expiry - b.expiry)
+        .forEach((alert) => {
+            const item = document.createElement('li');
+            item.className = 'expiry-alert-item';
+
+            const label = document.createElement('span');
+            label.className = 'expiry-alert-label';
+            label.textContent = `${alert.row['Label'] || 'Bookmark'}${alert.row['SOL'] ? ` (${alert.row['SOL']})` : ''}`;
+
+            const remaining = document.createElement('span');
+            remaining.className = 'expiry-alert-remaining';
+            attachCountdown(remaining, getRowExpiry(alert.row), { tag: TIMER_TAGS.ALERTS, style: 'compact' });
+
+            const snoozeButton = document.createElement('button');
+            snoozeButton.type = 'button';
+            snoozeButton.textContent = `Snooze ${alertsState.settings.snoozeMinutes}m`;
+            snoozeButton.addEventListener('click', () => snoozeAlert(alert.id));
+
+            const dismissButton = document.createElement('button');
+            dismissButton.type = 'button';
+            dismissButton.textContent = 'Dismiss';
+            dismissButton.title = 'Stop alerting for this bookmark';
+            dismissButton.addEventListener('click', () => dismissAlert(alert.id));
+
+            item.append(label, remaining, snoozeButton, dismissButton);
+            alertsDom.list.appendChild(item);
+        });
+}
+
+function fillSettingsInputs(settings) {
+    if (alertsDom.toastInput) {
+        alertsDom.toastInput.checked = settings.toast;
+    }
+    if (alertsDom.notificationInput) {
+        alertsDom.notificationInput.checked = settings.notification;
+    }
+    if (alertsDom.soundInput) {
+        alertsDom.soundInput.checked = settings.sound;
+    }
+    if (alertsDom.snoozeInput) {
+        alertsDom.snoozeInput.value = settings.snoozeMinutes.toString();
+    }
+    if (alertsDom.rules) {
+        alertsDom.rules.innerHTML = '';
+        settings.rules.forEach((rule) => alertsDom.rules.appendChild(buildRuleRow(rule)));
+    }
+}
+
+function buildRuleRow(rule) {
+    const row = document.createElement('div');
+    row.className = 'expiry-alert-rule';
+
+    const category = document.createElement('select');
+    category.className = 'expiry-alert-rule-category';
+    category.setAttribute('aria-label', 'Bookmarks this rule applies to');
+    Object.entries(CATEGORY_LABELS).forEach(([value, text]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = text;
+        option.selected = value === rule.category;
+        category.appendChild(option);
+    });
+
+    const systems = document.createElement('input');
+    systems.type = 'text';
+    systems.className = 'expiry-alert-rule-systems';
+    systems.placeholder = 'All systems';
+    systems.value = rule.systems.join(', ');
+    systems.setAttribute('aria-label', 'Systems, comma separated; leave empty for all systems');
+
+    const thresholds = document.createElement('input');
+    thresholds.type = 'text';
+    thresholds.className = 'expiry-alert-rule-thresholds';
+    thresholds.value = rule.thresholds.join(', ');
+    thresholds.setAttribute('aria-label', 'Minutes before expiry, comma separated');
+
+    const unit = document.createElement('span');
+    unit.textContent = 'min before';
+
+    const removeButton = document.createElement('button');
+    removeButton.type = 'button';
+    removeButton.textContent = 'Remove';
+    removeButton.addEventListener('click', () => row.remove());
+
+    row.append(category, systems, thresholds, unit, removeButton);
+    return row;
+}
+
+function readSettingsInputs() {
+    const rules = Array.from(alertsDom.rules ? alertsDom.rules.querySelectorAll('.expiry-alert-rule') : []).map((row) => ({
+        category: row.querySelector('.expiry-alert-rule-category').value,
+        systems: row.querySelector('.expiry-alert-rule-systems').value,
+        thresholds: row.querySelector('.expiry-alert-rule-thresholds').value
+    }));
+    return normalizeSettings({
+        toast: alertsDom.toastInput ? alertsDom.toastInput.checked : alertsState.settings.toast,
+        notification: alertsDom.notificationInput ? alertsDom.notificationInput.checked : alertsState.settings.notification,
+        sound: alertsDom.soundInput ? alertsDom.soundInput.checked : alertsState.settings.sound,
+        snoozeMinutes: alertsDom.snoozeInput ? alertsDom.snoozeInput.value : alertsState.settings.snoozeMinutes,
+        rules
+    });
+}
+
+async function handleSaveSettings() {
+    const settings = readSettingsInputs();
+    let notificationsBlocked = false;
+    if (settings.notification) {
+        const permission = typeof Notification === 'undefined'
+            ? 'denied'
+            : (Notification.permission === 'default' ? await Notification.requestPermission() : Notification.permission);
+        if (permission !== 'granted') {
+            settings.notification = false;
+            notificationsBlocked = true;
+        }
+    }
+    alertsState.settings = settings;
+    writeStored(STORES.PREFERENCES, ALERTS_STORAGE_KEY, settings);
+    fillSettingsInputs(settings);
+    await refreshAlertWatchers();
+    if (notificationsBlocked) {
+        showAlertsMessage('Browser notifications are blocked for this site; the other alert settings were saved.', true);
+    } else {
+        showAlertsMessage(`Saved ${settings.rules.length} alert rule${settings.rules.length === 1 ? '' : 's'}.`);
+    }
+}
+
+function showAlertsMessage(message, isError = false, timeoutMs = 6000) {
+    if (!alertsDom.message) {
+        return;
+    }
+    if (alertsMessageTimeout) {
+        clearTimeout(alertsMessageTimeout);
+        alertsMessageTimeout = null;
+    }
+    alertsDom.message.textContent = message || '';
+    alertsDom.message.classList.toggle('error', Boolean(isError && message));
+    if (message && timeoutMs) {
+        alertsMessageTimeout = setTimeout(() => {
+            alertsDom.message.textContent = '';
+            alertsDom.message.classList.remove('error');
+            alertsMessageTimeout = null;
+        }, timeoutMs);
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => onStorageReady(initExpiryAlerts));
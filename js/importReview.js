@@ -0,0 +1,162 @@
+const PREVIEW_ROW_LIMIT = 25;
+const PREVIEW_COLUMNS = ['Label', 'Type', 'SOL', 'Expiry', 'Creator'];
+const RAW_LINE_MAX_LENGTH = 120;
+
+const reviewState = {
+    onConfirm: null
+};
+
+const reviewDom = {
+    panel: null,
+    summary: null,
+    issues: null,
+    table: null,
+    confirmButton: null,
+    cancelButton: null
+};
+
+function initImportReview() {
+    reviewDom.panel = document.getElementById('bookmarkImportPreview');
+    reviewDom.summary = document.getElementById('bookmarkImportPreviewSummary');
+    reviewDom.issues = document.getElementById('bookmarkImportPreviewIssues');
+    reviewDom.table = document.getElementById('bookmarkImportPreviewTable');
+    reviewDom.confirmButton = document.getElementById('bookmarkImportConfirmButton');
+    reviewDom.cancelButton = document.getElementById('bookmarkImportCancelButton');
+
+    if (!reviewDom.panel) {
+        return;
+    }
+    if (reviewDom.confirmButton) {
+        reviewDom.confirmButton.addEventListener('click', confirmImportReview);
+    }
+    if (reviewDom.cancelButton) {
+        reviewDom.cancelButton.addEventListener('click', closeImportReview);
+    }
+}
+
+export function openImportReview({ summary = '', rows = [], issues = [], onConfirm = null } = {}) {
+    if (!reviewDom.panel) {
+        return;
+    }
+    reviewState.onConfirm = onConfirm;
+
+    const rejectedCount = issues.filter((issue) => issue.severity === 'rejected').length;
+    const warningCount = issues.length - rejectedCount;
+    const counts = [`${rows.length} row${rows.length === 1 ? '' : 's'} ready`];
+    if (rejectedCount) {
+        counts.push(`${rejectedCount} rejected`);
+    }
+    if (warningCount) {
+        counts.push(`${warningCount} warning${warningCount === 1 ? '' : 's'}`);
+    }
+    reviewDom.summary.textContent = summary ? `${summary} ${counts.join(', ')}.` : `${counts.join(', ')}.`;
+
+    renderIssues(issues);
+    renderPreviewTable(rows);
+
+    if (reviewDom.confirmButton) {
+        reviewDom.confirmButton.textContent = issues.length ? 'Import anyway' : 'Import';
+        reviewDom.confirmButton.disabled = rows.length === 0;
+    }
+    reviewDom.panel.hidden = false;
+    const focusTarget = rows.length ? reviewDom.confirmButton : reviewDom.cancelButton;
+    if (focusTarget) {
+        focusTarget.focus();
+    }
+}
+
+export function closeImportReview() {
+    reviewState.onConfirm = null;
+    if (!reviewDom.panel) {
+        return;
+    }
+    reviewDom.panel.hidden = true;
+    reviewDom.summary.textContent = '';
+    if (reviewDom.issues) {
+        reviewDom.issues.innerHTML = '';
+        reviewDom.issues.hidden = true;
+    }
+    reviewDom.table.innerHTML = '';
+}
+
+async function confirmImportReview() {
+    const onConfirm = reviewState.onConfirm;
+    closeImportReview();
+    if (typeof onConfirm === 'function') {
+        await onConfirm();
+    }
+}
+
+function renderIssues(issues) {
+    const list = reviewDom.issues;
+    if (!list) {
+        return;
+    }
+    list.innerHTML = '';
+    list.hidden = issues.length === 0;
+
+    issues.forEach((issue) => {
+        const item = document.createElement('li');
+        item.className = `bookmark-import-issue bookmark-import-issue-${issue.severity}`;
+
+        const location = document.createElement('span');
+        location.className = 'bookmark-import-issue-line';
+        location.textContent = issue.file ? `${issue.file}:${issue.line}` : `Line ${issue.line}`;
+
+        const reason = document.createElement('span');
+        reason.className = 'bookmark-import-issue-reason';
+        reason.textContent = issue.reason;
+
+        const raw = document.createElement('code');
+        raw.className = 'bookmark-import-issue-raw';
+        const rawText = (issue.raw || '').replace(/\t/g, ' → ');
+        raw.textContent = rawText.length > RAW_LINE_MAX_LENGTH
+            ? `${rawText.slice(0, RAW_LINE_MAX_LENGTH)}…`
+            : rawText;
+        raw.title = issue.raw || '';
+
+        item.append(location, reason, raw);
+        list.appendChild(item);
+    });
+}
+
+function renderPreviewTable(rows) {
+    const container = reviewDom.table;
+    container.innerHTML = '';
+    if (!rows.length) {
+        return;
+    }
+
+    const table = document.createElement('table');
+    const thead = document.createElement('thead');
+    const headerRow = document.createElement('tr');
+    PREVIEW_COLUMNS.forEach((key) => {
+        const th = document.createElement('th');
+        th.textContent = key;
+        headerRow.appendChild(th);
+    });
+    thead.appendChild(headerRow);
+    table.appendChild(thead);
+
+    const tbody = document.createElement('tbody');
+    rows.slice(0, PREVIEW_ROW_LIMIT).forEach((row) => {
+        const tr = document.createElement('tr');
+        PREVIEW_COLUMNS.forEach((key) => {
+            const td = document.createElement('td');
+            td.textContent = row[key] || '';
+            tr.appendChild(td);
+        });
+        tbody.appendChild(tr);
+    });
+    table.appendChild(tbody);
+    container.appendChild(table);
+
+    if (rows.length > PREVIEW_ROW_LIMIT) {
+        const more = document.createElement('div');
+        more.className = 'bookmark-import-preview-more';
+        more.textContent = `…and ${rows.length - PREVIEW_ROW_LIMIT} more`;
+        container.appendChild(more);
+    }
+}
+
+document.addEventListener('DOMContentLoaded', initImportReview);
@@ -1,7 +1,8 @@
 import { loadSystemsData } from './loadSystemsData.js';
+import { STORES, isStorageReady, onStorageReady, readStoredObject, writeStored } from './storage.js';
 
-const INTEL_DATA_KEY = 'systemIntel:notes:v1';
-const INTEL_NICKNAME_KEY = 'systemIntel:nicknames:v1';
+const INTEL_NOTES_KEY = 'notes';
+const INTEL_NICKNAMES_KEY = 'nicknames';
 
 let nicknamesLoaded = false;
 
@@ -22,11 +23,15 @@ const intelDom = {
 let systemsIndex = null;
 let systemsIndexPromise = null;
 
-document.addEventListener('DOMContentLoaded', initSystemIntelModule);
-window.addEventListener('beforeunload', () => {
-    commitIntelDraft();
-    commitNicknameDraft();
+document.addEventListener('DOMContentLoaded', () => onStorageReady(initSystemIntelModule));
+// IndexedDB writes are not awaited on unload, so drafts are saved while the
+// page is being hidden, which happens before any close or reload.
+document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') {
+        flushSystemIntelDrafts();
+    }
 });
+window.addEventListener('pagehide', () => flushSystemIntelDrafts());
 
 function initSystemIntelModule() {
     intelDom.textarea = document.getElementById('intelTextarea');
@@ -44,6 +49,7 @@ function initSystemIntelModule() {
 
     intelDom.textarea.addEventListener('input', handleIntelInput);
     intelDom.nicknameInput.addEventListener('input', handleNicknameInput);
+    intelDom.textarea.addEventListener('blur', commitIntelDraft);
     intelDom.nicknameInput.addEventListener('blur', commitNicknameDraft);
 
     ensureSystemsIndex().then(() => {
@@ -56,67 +62,31 @@ function initSystemIntelModule() {
 }
 
 function loadIntelNotes() {
-    try {
-        const raw = localStorage.getItem(INTEL_DATA_KEY);
-        if (!raw) {
-            return new Map();
+    const map = new Map();
+    Object.entries(readStoredObject(STORES.INTEL, INTEL_NOTES_KEY)).forEach(([system, note]) => {
+        if (typeof note === 'string') {
+            map.set(system, note);
         }
-        const parsed = JSON.parse(raw);
-        const map = new Map();
-        Object.entries(parsed).forEach(([system, note]) => {
-            if (typeof note === 'string') {
-                map.set(system, note);
-            }
-        });
-        return map;
-    } catch (error) {
-        console.warn('Failed to load intel notes', error);
-        return new Map();
-    }
+    });
+    return map;
 }
 
 function loadIntelNicknames() {
-    try {
-        const raw = localStorage.getItem(INTEL_NICKNAME_KEY);
-        if (!raw) {
-            return new Map();
+    const map = new Map();
+    Object.entries(readStoredObject(STORES.INTEL, INTEL_NICKNAMES_KEY)).forEach(([system, nickname]) => {
+        if (typeof nickname === 'string' && nickname.trim().length > 0) {
+            map.set(system, nickname);
         }
-        const parsed = JSON.parse(raw);
-        const map = new Map();
-        Object.entries(parsed).forEach(([system, nickname]) => {
-            if (typeof nickname === 'string' && nickname.trim().length > 0) {
-                map.set(system, nickname);
-            }
-        });
-        return map;
-    } catch (error) {
-        console.warn('Failed to load intel nicknames', error);
-        return new Map();
-    }
+    });
+    return map;
 }
 
 function persistIntelNotes() {
-    try {
-        const payload = {};
-        intelState.notes.forEach((note, system) => {
-            payload[system] = note;
-        });
-        localStorage.setItem(INTEL_DATA_KEY, JSON.stringify(payload));
-    } catch (error) {
-        console.warn('Failed to persist intel notes', error);
-    }
+    writeStored(STORES.INTEL, INTEL_NOTES_KEY, Object.fromEntries(intelState.notes));
 }
 
 function persistIntelNicknames() {
-    try {
-        const payload = {};
-        intelState.nicknames.forEach((nickname, system) => {
-            payload[system] = nickname;
-        });
-        localStorage.setItem(INTEL_NICKNAME_KEY, JSON.stringify(payload));
-    } catch (error) {
-        console.warn('Failed to persist intel nicknames', error);
-    }
+    writeStored(STORES.INTEL, INTEL_NICKNAMES_KEY, Object.fromEntries(intelState.nicknames));
 }
 
 function handleIntelInput(event) {
@@ -249,6 +219,9 @@ function commitIntelDraft() {
         intelState.noteSaveTimer = null;
     }
     const value = intelDom.textarea.value;
+    if ((intelState.notes.get(intelState.currentSystem) || '') === value) {
+        return;
+    }
     intelState.notes.set(intelState.currentSystem, value);
     persistIntelNotes();
 }
@@ -264,11 +237,34 @@ function commitNicknameDraft() {
     saveNickname(intelState.currentSystem, intelDom.nicknameInput.value);
 }
 
+export function flushSystemIntelDrafts() {
+    commitIntelDraft();
+    commitNicknameDraft();
+}
+
+// Re-reads notes and nicknames after something else rewrote them in storage, so
+// the in-memory copy does not overwrite them on the next save or unload.
+export function reloadSystemIntelFromStorage() {
+    [intelState.noteSaveTimer, intelState.nicknameSaveTimer].forEach((timer) => {
+        if (timer) {
+            clearTimeout(timer);
+        }
+    });
+    intelState.noteSaveTimer = null;
+    intelState.nicknameSaveTimer = null;
+    intelState.notes = loadIntelNotes();
+    intelState.nicknames = loadIntelNicknames();
+    nicknamesLoaded = true;
+    if (intelDom.textarea) {
+        updateIntelUI();
+    }
+}
+
 function getSystemNickname(systemName) {
     if (!systemName) {
         return '';
     }
-    if (!nicknamesLoaded) {
+    if (!nicknamesLoaded && isStorageReady()) {
         intelState.nicknames = loadIntelNicknames();
         nicknamesLoaded = true;
     }
@@ -1,8 +1,9 @@
+import { STORES, onStorageReady, quarantineStored, readStored, readStoredObject, removeStored, writeStored } from './storage.js';
+
 const GRID_SIZE = 36;
 const MIN_GRID_W = 8;
 const MIN_GRID_H = 6;
-const STORAGE_PREFIX = 'moduleLayout:v3:';
-const VISIBILITY_STORAGE_KEY = `${STORAGE_PREFIX}visibility`;
+const VISIBILITY_STORAGE_KEY = 'visibility';
 
 const DEFAULT_LAYOUTS = {
     map: { x: 0, y: 0, w: 26, h: 18 },
@@ -10,7 +11,8 @@ const DEFAULT_LAYOUTS = {
     routes: { x: 16, y: 18, w: 8, h: 14 },
     signatures: { x: 26, y: 0, w: 8, h: 20 },
     intel: { x: 26, y: 20, w: 8, h: 6 },
-    stats: { x: 26, y: 26, w: 8, h: 8 }
+    health: { x: 26, y: 26, w: 8, h: 6 },
+    stats: { x: 26, y: 32, w: 8, h: 8 }
 };
 
 const layoutState = new Map();
@@ -18,7 +20,7 @@ const moduleVisibilityControls = new Map();
 let containerBaseWidth = 0;
 let containerBaseHeight = 0;
 let activeInteraction = null;
-const LOCK_STATE_KEY = `${STORAGE_PREFIX}lockState`;
+const LOCK_STATE_KEY = 'lockState';
 let isLayoutLocked = false;
 let lockToggleButton = null;
 let moduleVisibilityState = new Map();
@@ -32,33 +34,19 @@ const MIN_MEASURE_WIDTH = GRID_SIZE * MIN_GRID_W;
 const MIN_MEASURE_HEIGHT = GRID_SIZE * MIN_GRID_H;
 
 function loadModuleVisibilityState() {
-    try {
-        const raw = localStorage.getItem(VISIBILITY_STORAGE_KEY);
-        if (!raw) {
-            return new Map();
-        }
-        const parsed = JSON.parse(raw);
-        const map = new Map();
-        Object.entries(parsed).forEach(([moduleId, value]) => {
-            map.set(moduleId, value !== false);
-        });
-        return map;
-    } catch (error) {
-        console.warn('Failed to load module visibility state', error);
-        return new Map();
-    }
+    const map = new Map();
+    Object.entries(readStoredObject(STORES.LAYOUT, VISIBILITY_STORAGE_KEY)).forEach(([moduleId, value]) => {
+        map.set(moduleId, value !== false);
+    });
+    return map;
 }
 
 function persistModuleVisibilityState() {
-    try {
-        const payload = {};
-        moduleVisibilityState.forEach((visible, moduleId) => {
-            payload[moduleId] = visible !== false;
-        });
-        localStorage.setItem(VISIBILITY_STORAGE_KEY, JSON.stringify(payload));
-    } catch (error) {
-        console.warn('Failed to persist module visibility state', error);
-    }
+    const payload = {};
+    moduleVisibilityState.forEach((visible, moduleId) => {
+        payload[moduleId] = visible !== false;
+    });
+    writeStored(STORES.LAYOUT, VISIBILITY_STORAGE_KEY, payload);
 }
 
 function isModuleCurrentlyVisible(moduleEl) {
@@ -565,31 +553,24 @@ function getDefaultLayout(moduleId, moduleEl, fallbackIndex, responsiveDefaults
 }
 
 function loadLayout(moduleId) {
-    try {
-        const raw = localStorage.getItem(`${STORAGE_PREFIX}${moduleId}`);
-        if (!raw) return null;
-        const parsed = JSON.parse(raw);
-        if (
-            typeof parsed.x === 'number' &&
-            typeof parsed.y === 'number' &&
-            typeof parsed.w === 'number' &&
-            typeof parsed.h === 'number'
-        ) {
-            return parsed;
-        }
-        return null;
-    } catch (error) {
-        console.warn(`Failed to parse layout for ${moduleId}`, error);
+    const stored = readStored(STORES.LAYOUT, moduleId, null);
+    if (!stored) {
         return null;
     }
+    if (
+        typeof stored.x === 'number' &&
+        typeof stored.y === 'number' &&
+        typeof stored.w === 'number' &&
+        typeof stored.h === 'number'
+    ) {
+        return stored;
+    }
+    quarantineStored(STORES.LAYOUT, moduleId, 'Expected a grid position and size');
+    return null;
 }
 
 function saveLayout(moduleId, layout) {
-    try {
-        localStorage.setItem(`${STORAGE_PREFIX}${moduleId}`, JSON.stringify(layout));
-    } catch (error) {
-        console.warn(`Failed to persist layout for ${moduleId}`, error);
-    }
+    writeStored(STORES.LAYOUT, moduleId, { ...layout });
 }
 
 function measureContainer(container) {
@@ -734,23 +715,14 @@ function updateLockUI() {
 }
 
 function loadLockState() {
-    try {
-        return localStorage.getItem(LOCK_STATE_KEY) === 'locked';
-    } catch (error) {
-        console.warn('Unable to read layout lock state', error);
-        return false;
-    }
+    return readStored(STORES.LAYOUT, LOCK_STATE_KEY) === 'locked';
 }
 
 function persistLockState(locked) {
-    try {
-        if (locked) {
-            localStorage.setItem(LOCK_STATE_KEY, 'locked');
-        } else {
-            localStorage.removeItem(LOCK_STATE_KEY);
-        }
-    } catch (error) {
-        console.warn('Unable to persist layout lock state', error);
+    if (locked) {
+        writeStored(STORES.LAYOUT, LOCK_STATE_KEY, 'locked');
+    } else {
+        removeStored(STORES.LAYOUT, LOCK_STATE_KEY);
     }
 }
 
@@ -784,7 +756,7 @@ function bootstrapModuleLayout() {
     initModuleGrid();
 }
 
-document.addEventListener('DOMContentLoaded', bootstrapModuleLayout);
+document.addEventListener('DOMContentLoaded', () => onStorageReady(bootstrapModuleLayout));
 
 export { initModuleGrid, applyModuleVisibility };
 
@@ -830,7 +802,12 @@ function buildLargeLayout(widthUnits, heightUnits) {
         MIN_GRID_H,
         Math.max(MIN_GRID_H, heightUnits - signaturesHeight - MIN_GRID_H)
     );
-    const statsHeight = Math.max(MIN_GRID_H, heightUnits - signaturesHeight - intelHeight);
+    const healthHeight = clamp(
+        Math.round(heightUnits * 0.2),
+        MIN_GRID_H,
+        Math.max(MIN_GRID_H, heightUnits - signaturesHeight - intelHeight - MIN_GRID_H)
+    );
+    const statsHeight = Math.max(MIN_GRID_H, heightUnits - signaturesHeight - intelHeight - healthHeight);
 
     return {
         map: { x: 0, y: 0, w: mainWidth, h: mapHeight },
@@ -838,7 +815,8 @@ function buildLargeLayout(widthUnits, heightUnits) {
         routes: { x: mainWidth - 8, y: mapHeight, w: 8, h: bookmarksHeight },
         signatures: { x: mainWidth, y: 0, w: sideWidth, h: signaturesHeight },
         intel: { x: mainWidth, y: signaturesHeight, w: sideWidth, h: intelHeight },
-        stats: { x: mainWidth, y: signaturesHeight + intelHeight, w: sideWidth, h: statsHeight }
+        health: { x: mainWidth, y: signaturesHeight + intelHeight, w: sideWidth, h: healthHeight },
+        stats: { x: mainWidth, y: signaturesHeight + intelHeight + healthHeight, w: sideWidth, h: statsHeight }
     };
 }
 
@@ -874,7 +852,12 @@ function buildMediumLayout(widthUnits, heightUnits) {
         MIN_GRID_H,
         bottomHeight - signaturesHeight
     );
-    const statsHeight = Math.max(MIN_GRID_H, bottomHeight - signaturesHeight - intelHeight);
+    const healthHeight = clamp(
+        Math.round(bottomHeight * 0.3),
+        MIN_GRID_H,
+        Math.max(MIN_GRID_H, bottomHeight - intelHeight - MIN_GRID_H)
+    );
+    const statsHeight = Math.max(MIN_GRID_H, bottomHeight - intelHeight - healthHeight);
 
     return {
         map: { x: 0, y: 0, w: widthUnits, h: mapHeight },
@@ -882,7 +865,8 @@ function buildMediumLayout(widthUnits, heightUnits) {
         routes: { x: leftWidth, y: mapHeight, w: rightWidth, h: bookmarksHeight },
         signatures: { x: 0, y: lowerY, w: leftWidth, h: bottomHeight },
         intel: { x: leftWidth, y: lowerY, w: rightWidth, h: intelHeight },
-        stats: { x: leftWidth, y: lowerY + intelHeight, w: rightWidth, h: statsHeight }
+        health: { x: leftWidth, y: lowerY + intelHeight, w: rightWidth, h: healthHeight },
+        stats: { x: leftWidth, y: lowerY + intelHeight + healthHeight, w: rightWidth, h: statsHeight }
     };
 }
 
@@ -911,7 +895,12 @@ function buildSmallLayout(widthUnits, heightUnits) {
         MIN_GRID_H,
         Math.max(MIN_GRID_H, remainingHeight - signaturesHeight - MIN_GRID_H)
     );
-    const statsStart = lowerStart + signaturesHeight + intelHeight;
+    const healthHeight = clamp(
+        Math.round(remainingHeight * 0.2),
+        MIN_GRID_H,
+        Math.max(MIN_GRID_H, remainingHeight - signaturesHeight - intelHeight - MIN_GRID_H)
+    );
+    const statsStart = lowerStart + signaturesHeight + intelHeight + healthHeight;
     const statsHeight = Math.max(MIN_GRID_H, heightUnits - statsStart);
 
     return {
@@ -920,6 +909,7 @@ function buildSmallLayout(widthUnits, heightUnits) {
         routes: { x: 0, y: mapHeight + bookmarksHeight, w: widthUnits, h: routesHeight },
         signatures: { x: 0, y: lowerStart, w: widthUnits, h: signaturesHeight },
         intel: { x: 0, y: lowerStart + signaturesHeight, w: widthUnits, h: intelHeight },
+        health: { x: 0, y: lowerStart + signaturesHeight + intelHeight, w: widthUnits, h: healthHeight },
         stats: { x: 0, y: statsStart, w: widthUnits, h: statsHeight }
     };
 }
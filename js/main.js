@@ -1,4 +1,5 @@
 import { displayMap, filterBookmarksBySystem } from './modules/map/displayMap.js';
+import { onStorageReady } from './storage.js';
 
 console.log('main.js module is being executed');
 window.mainJsLoaded = true;
@@ -45,16 +46,20 @@ window.addEventListener('click', (event) => {
 
 document.addEventListener('DOMContentLoaded', () => {
     console.log('DOM Content Loaded');
-    loadDataAndDisplay();
+    onStorageReady(loadDataAndDisplay);
 });
 
 async function loadDataAndDisplay() {
-    const data = await getDataFromDB();
+    const latestVersion = await getLatestVersion();
+    const data = latestVersion ? latestVersion.data : [];
     displayTable(['Label', 'Type', 'Jumps', 'SOL', 'CON', 'REG', 'Date', 'Expiry', 'Creator'], data);
     displayMap(data);
     if (typeof window.updateBookmarkStats === 'function') {
         window.updateBookmarkStats(data);
     }
+    if (latestVersion) {
+        updateTimestampDisplay(latestVersion.timestamp);
+    }
 }
 
 window.filterBookmarksBySystem = filterBookmarksBySystem;
@@ -1,7 +1,10 @@
 import { extractSystems } from './extractSystems.js';
 import { buildSystemTag } from './buildSystemTag.js';
 import { lockNodes, unlockNodes, dragStarted, dragged, dragEnded } from './dragHandlers.js';
-import { getRowExpiry, clearCountdowns, TIMER_TAGS } from '../../bookmarkTimers.js';
+import { getRowExpiry, attachCountdown, clearCountdowns, formatDuration, TIMER_TAGS } from '../../bookmarkTimers.js';
+import { extractWormholeClass } from '../../bookmarkLabel.js';
+import { formatTimestamp } from '../../eveTime.js';
+import { estimateWormholeLifetime, extractWormholeType, parseFirstSeen, persistFlagSightings } from './wormholeLifetime.js';
 import { updateRouteGraph, planRoute, getRouteSuggestions, warmRoutePlanner } from './routePlanner.js';
 
 const PLACEHOLDER_PATTERN = /^\?+$/;
@@ -131,6 +134,31 @@ function buildConnectionKey(systemA, systemB) {
   return left <= right ? `${left}|${right}` : `${right}|${left}`;
 }
 
+function getLinkEndpointName(endpoint) {
+  if (typeof endpoint === 'string') {
+    return endpoint;
+  }
+  return (endpoint && (endpoint.displayName || endpoint.name)) || '';
+}
+
+function describeLinkLifetime(connection, remaining) {
+  const lines = [`${getLinkEndpointName(connection.source)} ↔ ${getLinkEndpointName(connection.target)}`];
+  const lifetime = connection.lifetime;
+  if (!lifetime) {
+    lines.push('Collapse window unknown');
+    return lines.join('\n');
+  }
+  const until = formatTimestamp(lifetime.end, { zone: true });
+  if (remaining === null || remaining > 0) {
+    const countdown = remaining === null ? '' : ` (${formatDuration(remaining, 'compact')})`;
+    lines.push(`Estimated collapse by ${until}${countdown}`);
+  } else {
+    lines.push(`Estimated collapse window closed at ${until}`);
+  }
+  lifetime.reasons.forEach((reason) => lines.push(`• ${reason}`));
+  return lines.join('\n');
+}
+
 function normalizeSystemKey(value) {
   if (!value && value !== 0) {
     return '';
@@ -138,43 +166,22 @@ function normalizeSystemKey(value) {
   return value.toString().trim().toUpperCase();
 }
 
-const WORMHOLE_CLASS_PREFIXES = [
-  'HS',
-  'LS',
-  'NS',
-  'C1',
-  'C2',
-  'C3',
-  'C4',
-  'C5',
-  'C6',
-  'C13',
-  'THERA',
-  'PV'
-];
-
-function extractWormholeClass(rawLabel) {
-  if (!rawLabel || typeof rawLabel !== 'string') {
-    return null;
-  }
-  const tokens = rawLabel.split(/\s+/);
-  for (let index = 0; index < tokens.length; index += 1) {
-    const normalizedToken = tokens[index].replace(/[^\w?]/g, '').toUpperCase();
-    if (!normalizedToken) {
-      continue;
-    }
-    const detailedClassMatch = normalizedToken.match(/^([A-Z]{1,2}\d{1,3})/);
-    if (detailedClassMatch && detailedClassMatch[1]) {
-      return detailedClassMatch[1];
-    }
-    for (let prefixIndex = 0; prefixIndex < WORMHOLE_CLASS_PREFIXES.length; prefixIndex += 1) {
-      const prefix = WORMHOLE_CLASS_PREFIXES[prefixIndex];
-      if (normalizedToken.startsWith(prefix)) {
-        return prefix;
-      }
-    }
-  }
-  return null;
+let activeMapDiffHighlight = null;
+let applyMapDiffHighlight = () => {};
+
+export function setMapDiffHighlight(highlight) {
+  activeMapDiffHighlight = highlight || null;
+  applyMapDiffHighlight(activeMapDiffHighlight);
+}
+
+let activeSystemHighlight = new Set();
+let applySystemHighlight = () => {};
+
+// Marks the given systems (and links between them) on the map, e.g. the
+// systems involved in the bookmarks selected in the table.
+export function setMapSystemHighlight(systems) {
+  activeSystemHighlight = new Set(Array.from(systems || []).map(normalizeSystemKey).filter(Boolean));
+  applySystemHighlight(activeSystemHighlight);
 }
 
 /**
@@ -1351,7 +1358,9 @@ export function displayMap(data, options = {}) {
             isEOL: false,
             isCRIT: false,
             containsPlaceholder: false,
-            firstDirection: null
+            firstDirection: null,
+            firstSeen: null,
+            typeCode: null
           };
           connectionCandidates.set(candidateKey, candidate);
         }
@@ -1383,6 +1392,15 @@ export function displayMap(data, options = {}) {
         candidate.isVEOL = candidate.isVEOL || isVEOL;
         candidate.isEOL = candidate.isEOL || isEOL;
         candidate.isCRIT = candidate.isCRIT || isCRIT;
+        const firstSeen = parseFirstSeen(row['Date']);
+        if (firstSeen !== null && (candidate.firstSeen === null || firstSeen < candidate.firstSeen)) {
+          candidate.firstSeen = firstSeen;
+        }
+        // The far side usually only knows the hole as K162, so prefer the real type.
+        const typeCode = extractWormholeType(rawLabel);
+        if (typeCode && (!candidate.typeCode || candidate.typeCode === 'K162')) {
+          candidate.typeCode = typeCode;
+        }
         candidate.containsPlaceholder = candidate.containsPlaceholder || Boolean(targetInfo.isPlaceholder);
         if (!candidate.firstDirection) {
           candidate.firstDirection = { source: systemFrom, target: systemTo };
@@ -1450,6 +1468,7 @@ export function displayMap(data, options = {}) {
   });
 
   connections = [];
+  const lifetimeNow = Date.now();
   connectionCandidates.forEach((candidate, key) => {
     const hasBothDirections = candidate.directions.size >= 2;
     if (!hasBothDirections && !candidate.containsPlaceholder) {
@@ -1478,9 +1497,18 @@ export function displayMap(data, options = {}) {
       isVEOL: candidate.isVEOL,
       isEOL: candidate.isEOL,
       isCRIT: candidate.isCRIT,
-      directions
+      directions,
+      lifetime: estimateWormholeLifetime({
+        connectionKey: key,
+        firstSeen: candidate.firstSeen,
+        typeCode: candidate.typeCode,
+        isEOL: candidate.isEOL,
+        isVEOL: candidate.isVEOL,
+        now: lifetimeNow
+      })
     });
   });
+  persistFlagSightings(lifetimeNow);
 
   const connectedSystemNames = new Set();
   connections.forEach((connection) => {
@@ -2495,6 +2523,42 @@ export function displayMap(data, options = {}) {
       return strokeValue;
     });
 
+  const linkTitles = link.append('title')
+    .text((d) => describeLinkLifetime(d, null));
+
+  const linkTimers = g.append('g')
+    .attr('class', 'link-timers')
+    .selectAll('text')
+    .data(links.filter((d) => d.lifetime))
+    .enter().append('text')
+    .attr('class', 'link-timer')
+    .attr('text-anchor', 'middle')
+    .attr('dy', '-0.4em');
+
+  linkTimers.each(function (d) {
+    const title = linkTitles.filter((linkData) => linkData === d);
+    attachCountdown(this, d.lifetime.expiryInfo, {
+      tag: TIMER_TAGS.MAP,
+      style: 'compact',
+      showTitle: false,
+      expiredText: 'Closed?',
+      onUpdate: (element, { remaining }) => {
+        title.text(describeLinkLifetime(d, remaining));
+      },
+      onExpire: () => {
+        link.filter((linkData) => linkData === d).classed('is-lifetime-expired', true);
+        d3.select(this).classed('is-expired', true);
+        window.dispatchEvent(new CustomEvent('wormholeLifetimeExpired', {
+          detail: {
+            source: getLinkEndpointName(d.source),
+            target: getLinkEndpointName(d.target),
+            lifetime: d.lifetime
+          }
+        }));
+      }
+    });
+  });
+
   const svgDefs = svg.append('defs');
   const gradient = svgDefs.append('linearGradient')
     .attr('id', 'gradient-eol-crit')
@@ -2973,6 +3037,40 @@ export function displayMap(data, options = {}) {
     }
   }
 
+  applyMapDiffHighlight = (highlight) => {
+    const systems = highlight && highlight.systems ? highlight.systems : new Map();
+    const links = highlight && highlight.links ? highlight.links : new Map();
+    node.each(function (d) {
+      const status = systems.get(normalizeSystemKey(d.filterKey || d.name)) || null;
+      d3.select(this)
+        .classed('is-diff-added', status === 'added')
+        .classed('is-diff-removed', status === 'removed')
+        .classed('is-diff-changed', status === 'changed');
+    });
+    link.each(function (d) {
+      const sourceName = typeof d.source === 'string' ? d.source : d.source?.name;
+      const targetName = typeof d.target === 'string' ? d.target : d.target?.name;
+      const key = buildConnectionKey(normalizeSystemKey(sourceName), normalizeSystemKey(targetName));
+      d3.select(this).classed('is-diff-added', links.get(key) === 'added');
+    });
+  };
+  applyMapDiffHighlight(activeMapDiffHighlight);
+
+  applySystemHighlight = (systems) => {
+    node.each(function (d) {
+      d3.select(this).classed('is-table-selected', systems.has(normalizeSystemKey(d.filterKey || d.name)));
+    });
+    link.each(function (d) {
+      const sourceName = typeof d.source === 'string' ? d.source : d.source?.name;
+      const targetName = typeof d.target === 'string' ? d.target : d.target?.name;
+      d3.select(this).classed(
+        'is-table-selected',
+        systems.has(normalizeSystemKey(sourceName)) && systems.has(normalizeSystemKey(targetName))
+      );
+    });
+  };
+  applySystemHighlight(activeSystemHighlight);
+
   if (window.__bookmarkViewerNicknameListener) {
     window.removeEventListener('systemNicknameUpdated', window.__bookmarkViewerNicknameListener);
   }
@@ -3009,6 +3107,10 @@ export function displayMap(data, options = {}) {
       .attr('x2', (d) => d.target.x)
       .attr('y2', (d) => d.target.y);
 
+    linkTimers
+      .attr('x', (d) => (d.source.x + d.target.x) / 2)
+      .attr('y', (d) => (d.source.y + d.target.y) / 2);
+
     node
       .attr('cx', (d) => d.x)
       .attr('cy', (d) => d.y);
@@ -3121,6 +3223,8 @@ function filterBookmarksBySystem(systemName) {
 }
 
 window.displayMap = displayMap;
+window.setMapDiffHighlight = setMapDiffHighlight;
+window.setMapSystemHighlight = setMapSystemHighlight;
 export const statuses = {};
 export { filterBookmarksBySystem }; // Export the function for use in dragHandlers.js
 window.getMapSelectedSystem = () => window.__bookmarkViewerSelectedSystem || null;
@@ -0,0 +1,143 @@
+import { STORES, isStorageReady, readStored, writeStored } from '../../storage.js';
+import { parseBookmarkExpiry } from '../../bookmarkTimers.js';
+import { formatTimestamp } from '../../eveTime.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const FLAG_SIGHTINGS_STORAGE_KEY = 'wormholeFlagSightings';
+const SIGHTING_RETENTION_MS = 48 * HOUR_MS;
+const WORMHOLE_TYPE_PATTERN = /^[A-Z]\d{3}$/;
+
+const DEFAULT_LIFETIME_HOURS = 16;
+// K162 and unlabelled holes could be any type, so they get the longest
+// lifetime we know of.
+const UNKNOWN_TYPE_LIFETIME_HOURS = 24;
+const LONG_LIFETIME_TYPES = {
+    H296: 24,
+    N062: 24,
+    R474: 24,
+    V753: 24,
+    V911: 24,
+    W237: 24
+};
+
+// Remaining lifetime a flag promises as of when it was added to the label.
+const FLAG_WINDOWS_HOURS = {
+    VEOL: 1,
+    EOL: 4
+};
+
+let flagSightings = null;
+let sightingsDirty = false;
+
+function loadFlagSightings() {
+    if (flagSightings) {
+        return flagSightings;
+    }
+    const stored = isStorageReady() ? readStored(STORES.PREFERENCES, FLAG_SIGHTINGS_STORAGE_KEY, null) : null;
+    flagSightings = stored && typeof stored === 'object' && !Array.isArray(stored) ? { ...stored } : {};
+    return flagSightings;
+}
+
+/**
+ * Returns when a flag was first seen on a connection, recording `now` the
+ * first time it shows up. We cannot know when the pilot edited the label, so
+ * the first reload that carries the flag stands in for it.
+ */
+function getFlagSighting(connectionKey, flag, now) {
+    const sightings = loadFlagSightings();
+    const key = `${connectionKey}|${flag}`;
+    if (!Number.isFinite(sightings[key])) {
+        sightings[key] = now;
+        sightingsDirty = true;
+    }
+    return sightings[key];
+}
+
+export function persistFlagSightings(now = Date.now()) {
+    const sightings = loadFlagSightings();
+    Object.keys(sightings).forEach((key) => {
+        if (!Number.isFinite(sightings[key]) || now - sightings[key] > SIGHTING_RETENTION_MS) {
+            delete sightings[key];
+            sightingsDirty = true;
+        }
+    });
+    if (!sightingsDirty || !isStorageReady()) {
+        return;
+    }
+    sightingsDirty = false;
+    writeStored(STORES.PREFERENCES, FLAG_SIGHTINGS_STORAGE_KEY, { ...sightings });
+}
+
+export function extractWormholeType(label) {
+    if (!label || typeof label !== 'string') {
+        return null;
+    }
+    const tokens = label.trim().split(/\s+/).slice(1);
+    for (let index = 0; index < tokens.length; index += 1) {
+        const token = tokens[index].replace(/[^\w]/g, '').toUpperCase();
+        if (WORMHOLE_TYPE_PATTERN.test(token)) {
+            return token;
+        }
+    }
+    return null;
+}
+
+export function getMaxLifetimeHours(typeCode) {
+    if (!typeCode || typeCode === 'K162') {
+        return UNKNOWN_TYPE_LIFETIME_HOURS;
+    }
+    return LONG_LIFETIME_TYPES[typeCode] || DEFAULT_LIFETIME_HOURS;
+}
+
+export function parseFirstSeen(rawDate) {
+    const info = parseBookmarkExpiry(rawDate);
+    return info.type === 'timestamp' ? info.timestamp : null;
+}
+
+/**
+ * Estimates when a wormhole connection dies from the bookmark Date (first
+ * seen), the EOL/VEOL flags on its labels and the max lifetime of its type.
+ * Returns `{ start, end, typeCode, maxLifetimeHours, reasons, expiryInfo }`,
+ * or null when nothing dates the connection.
+ */
+export function estimateWormholeLifetime({ connectionKey, firstSeen = null, typeCode = null, isEOL = false, isVEOL = false, now = Date.now() }) {
+    const maxLifetimeHours = getMaxLifetimeHours(typeCode);
+    const reasons = [];
+    let start = Number.isFinite(firstSeen) ? firstSeen : null;
+    let end = null;
+
+    if (start !== null) {
+        end = start + maxLifetimeHours * HOUR_MS;
+        const typeText = typeCode && typeCode !== 'K162' ? typeCode : 'unknown type';
+        reasons.push(`first seen ${formatTimestamp(start)}, ${maxLifetimeHours}h max (${typeText})`);
+    }
+
+    const flags = [];
+    if (isVEOL) {
+        flags.push('VEOL');
+    }
+    if (isEOL) {
+        flags.push('EOL');
+    }
+    flags.forEach((flag) => {
+        const seenAt = getFlagSighting(connectionKey, flag, now);
+        const flagEnd = seenAt + FLAG_WINDOWS_HOURS[flag] * HOUR_MS;
+        if (end === null || flagEnd < end) {
+            end = flagEnd;
+            start = start === null ? seenAt : Math.max(start, seenAt);
+            reasons.push(`${flag} since ${formatTimestamp(seenAt)}`);
+        }
+    });
+
+    if (end === null) {
+        return null;
+    }
+    return {
+        start,
+        end,
+        typeCode,
+        maxLifetimeHours,
+        reasons,
+        expiryInfo: { type: 'timestamp', timestamp: end, rawValue: null }
+    };
+}
@@ -0,0 +1,108 @@
+import { parseBookmarkText } from './bookmarkParser.js';
+import { importBookmarkText } from './clipboard.js';
+import { applyShowInfoPaste, applySignaturePaste, parseWormholeShowInfo } from './signatures.js';
+import { showToast } from './toast.js';
+
+export const PASTE_KIND = {
+    SHOW_INFO: 'show-info',
+    SIGNATURES: 'signatures',
+    BOOKMARKS: 'bookmarks'
+};
+
+const SCANNER_ID_PATTERN = /^[A-Z]{3}-\d{3}$/;
+const SHOW_INFO_FIELDS = ['destinationRaw', 'lifetimeRaw', 'sizeRaw', 'massRaw'];
+const MIN_MATCHING_RATIO = 0.6;
+
+export function classifyPastedText(text) {
+    const trimmed = (text || '').trim();
+    if (!trimmed) {
+        return null;
+    }
+
+    const showInfo = parseWormholeShowInfo(trimmed);
+    if (showInfo && showInfo.wormholeType && SHOW_INFO_FIELDS.some((field) => showInfo[field])) {
+        return PASTE_KIND.SHOW_INFO;
+    }
+
+    const lines = trimmed.split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+    const scannerLines = lines.filter((line) => {
+        const [firstCell] = line.split('\t');
+        return SCANNER_ID_PATTERN.test((firstCell || '').trim().toUpperCase());
+    });
+    if (scannerLines.length / lines.length >= MIN_MATCHING_RATIO) {
+        return PASTE_KIND.SIGNATURES;
+    }
+
+    const { rows } = parseBookmarkText(trimmed);
+    const rowsWithSystem = rows.filter((row) => row['SOL']);
+    if (rowsWithSystem.length && rowsWithSystem.length / lines.length >= MIN_MATCHING_RATIO) {
+        return PASTE_KIND.BOOKMARKS;
+    }
+    return null;
+}
+
+function isEditableTarget(target) {
+    if (!target || !(target instanceof Element)) {
+        return false;
+    }
+    if (target.isContentEditable) {
+        return true;
+    }
+    return Boolean(target.closest('input, textarea, select, [contenteditable="true"]'));
+}
+
+async function handleDocumentPaste(event) {
+    if (isEditableTarget(event.target) || isEditableTarget(document.activeElement)) {
+        return;
+    }
+    const text = event.clipboardData ? event.clipboardData.getData('text/plain') : '';
+    const kind = classifyPastedText(text);
+    if (!kind) {
+        if (text && text.trim()) {
+            showToast('Pasted text was not recognised as bookmarks, scan results or wormhole show info.', { type: 'error' });
+        }
+        return;
+    }
+    event.preventDefault();
+
+    try {
+        await routePastedText(kind, text);
+    } catch (error) {
+        console.error('Failed to apply pasted text', error);
+        showToast('Something went wrong applying the pasted text.', { type: 'error' });
+    }
+}
+
+async function routePastedText(kind, text) {
+    if (kind === PASTE_KIND.SHOW_INFO) {
+        const result = await applyShowInfoPaste(text);
+        if (!result.applied) {
+            showToast(`Wormhole show info detected. ${result.message}`, { type: 'error' });
+            return;
+        }
+        const action = result.copied ? 'label copied' : 'label generated';
+        showToast(`Wormhole show info detected — ${result.signatureId} in ${result.system}, ${action}: ${result.label}`);
+        return;
+    }
+
+    if (kind === PASTE_KIND.SIGNATURES) {
+        const result = applySignaturePaste(text);
+        if (!result.applied) {
+            showToast(`Probe scanner results detected. ${result.message}`, { type: 'error' });
+            return;
+        }
+        showToast(`Probe scanner results detected — ${result.count} signature${result.count === 1 ? '' : 's'} applied to ${result.system}.`);
+        return;
+    }
+
+    const result = await importBookmarkText(text, 'Paste');
+    if (result.status === 'review') {
+        showToast(`Bookmark table detected — ${result.issueCount} issue${result.issueCount === 1 ? '' : 's'} to review before import.`);
+        return;
+    }
+    const selectedSystem = window.__bookmarkViewerSelectedSystem;
+    const selectionNote = selectedSystem ? ` Kept ${selectedSystem} selected.` : '';
+    showToast(`Bookmark table detected — imported ${result.rowCount} bookmark${result.rowCount === 1 ? '' : 's'}.${selectionNote}`);
+}
+
+document.addEventListener('paste', handleDocumentPaste);
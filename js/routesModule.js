@@ -1,7 +1,8 @@
 import { planRoute } from './modules/map/routePlanner.js';
 import { loadSystemsData } from './loadSystemsData.js';
+import { STORES, quarantineStored, readStored, whenStorageReady, writeStored } from './storage.js';
 
-const STORAGE_KEY = 'bookmarkViewerPinnedRoutes';
+const STORAGE_KEY = 'pinned';
 
 const moduleRoot = document.querySelector('[data-module-id="routes"]');
 if (moduleRoot) {
@@ -19,6 +20,7 @@ async function initializeRoutesModule() {
   const emptyNode = moduleRoot.querySelector('#routesEmpty');
 
   const systemsDataset = await loadSystemsData().catch(() => ({}));
+  await whenStorageReady().catch(() => {});
   const systemsByLower = new Map();
   if (systemsDataset && typeof systemsDataset === 'object') {
     Object.keys(systemsDataset).forEach((name) => {
@@ -391,41 +393,29 @@ async function initializeRoutesModule() {
   });
 
   function loadPinned() {
-    try {
-      const raw = localStorage.getItem(STORAGE_KEY);
-      if (!raw) {
-        return [];
-      }
-      const parsed = JSON.parse(raw);
-      if (!Array.isArray(parsed)) {
-        return [];
-      }
-      const seen = new Set();
-      return parsed
-        .map((value) => (typeof value === 'string' ? value.trim() : ''))
-        .filter((value) => {
-          if (!value) {
-            return false;
-          }
-          const lower = value.toLowerCase();
-          if (seen.has(lower)) {
-            return false;
-          }
-          seen.add(lower);
-          return true;
-        });
-    } catch (error) {
-      console.warn('routesModule: failed to load pinned routes', error);
+    const stored = readStored(STORES.ROUTES, STORAGE_KEY, []);
+    if (!Array.isArray(stored)) {
+      quarantineStored(STORES.ROUTES, STORAGE_KEY, 'Expected a list of systems');
       return [];
     }
+    const seen = new Set();
+    return stored
+      .map((value) => (typeof value === 'string' ? value.trim() : ''))
+      .filter((value) => {
+        if (!value) {
+          return false;
+        }
+        const lower = value.toLowerCase();
+        if (seen.has(lower)) {
+          return false;
+        }
+        seen.add(lower);
+        return true;
+      });
   }
 
   function savePinned() {
-    try {
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(pinnedSystems));
-    } catch (error) {
-      console.warn('routesModule: failed to save pinned routes', error);
-    }
+    writeStored(STORES.ROUTES, STORAGE_KEY, pinnedSystems.slice());
   }
 
   function resolveSystemName(inputValue) {
@@ -1,5 +1,7 @@
 import { loadSystemsData } from './loadSystemsData.js';
-const SIGNATURE_DATA_KEY = 'signatureModule:systemSignatures:v1';
+import { collectLabelFlags, extractClassSegmentFromLabel, parseClassSegment } from './bookmarkLabel.js';
+import { STORES, onStorageReady, readStoredObject, writeStored } from './storage.js';
+const SIGNATURE_DATA_KEY = 'systems';
 const HISTORY_VERSION_SOURCE_CLIPBOARD = 'clipboard';
 const HISTORY_VERSION_SOURCE_CLEAR = 'clear';
 
@@ -56,7 +58,7 @@ const signatureDom = {
 let signatureMessageTimeout = null;
 let tutorialPreviousFocus = null;
 
-document.addEventListener('DOMContentLoaded', initSignatureModule);
+document.addEventListener('DOMContentLoaded', () => onStorageReady(initSignatureModule));
 
 function initSignatureModule() {
     signatureDom.readButton = document.getElementById('readSignaturesButton');
@@ -92,42 +94,33 @@ function initSignatureModule() {
 }
 
 function loadStoredSignatures() {
-    try {
-        const raw = localStorage.getItem(SIGNATURE_DATA_KEY);
-        if (!raw) {
-            return new Map();
-        }
-        const parsed = JSON.parse(raw);
-        const map = new Map();
-        Object.entries(parsed || {}).forEach(([system, value]) => {
+    const map = new Map();
+    Object.entries(readStoredObject(STORES.SIGNATURES, SIGNATURE_DATA_KEY)).forEach(([system, value]) => {
+        try {
             const history = normalizeSystemHistory(value);
             if (history.versions.length > 0 || history.currentIndex >= 0 || history.overrides.size > 0) {
                 map.set(system, history);
             }
-        });
-        return map;
-    } catch (error) {
-        console.warn('Failed to load stored signatures', error);
-        return new Map();
-    }
+        } catch (error) {
+            console.warn(`Failed to load stored signatures for ${system}`, error);
+        }
+    });
+    return map;
 }
 
 function persistSignatures() {
-    try {
-        const payload = {};
-        signatureState.perSystem.forEach((history, system) => {
-            if (!history || !Array.isArray(history.versions)) {
-                return;
-            }
-            const serialized = serializeSystemHistory(history);
-            if (serialized) {
-                payload[system] = serialized;
-            }
-        });
-        localStorage.setItem(SIGNATURE_DATA_KEY, JSON.stringify(payload));
-    } catch (error) {
-        console.warn('Failed to persist signatures', error);
-    }
+    const payload = {};
+    signatureState.perSystem.forEach((history, system) => {
+        if (!history || !Array.isArray(history.versions)) {
+            return;
+        }
+        const serialized = serializeSystemHistory(history);
+        if (serialized) {
+            payload[system] = serialized;
+        }
+    });
+    writeStored(STORES.SIGNATURES, SIGNATURE_DATA_KEY, payload);
+    window.dispatchEvent(new CustomEvent('signatureHistoryChanged'));
 }
 
 function normalizeStoredSignature(entry) {
@@ -616,30 +609,48 @@ async function handleReadSignatures() {
 
     try {
         const clipboardText = await navigator.clipboard.readText();
-        const parsed = parseClipboardSignatures(clipboardText);
-        const normalized = sanitizeSignatureList(parsed);
-        if (normalized.length === 0) {
+        const count = loadSignaturesFromText(signatureState.currentSystem, clipboardText);
+        if (count === null) {
             showSignatureMessage('Clipboard did not contain recognizable signatures.', true);
             return;
         }
-        const { index } = pushSystemVersion(
-            signatureState.currentSystem,
-            normalized,
-            HISTORY_VERSION_SOURCE_CLIPBOARD
-        );
-        const version = applyHistoryIndex(signatureState.currentSystem, index);
-        persistSignatures();
-        const count = version && Array.isArray(version.signatures) ? version.signatures.length : 0;
-        const navigationState = getHistoryNavigationState(signatureState.currentSystem);
-        const revertHint = navigationState.hasBack ? ' Use Back to revert.' : '';
-        showSignatureMessage(`Loaded ${describeSignatureCount(count)} from clipboard.${revertHint}`);
-        runSignatureAnalysis();
+        showSignatureMessage(`Loaded ${describeSignatureCount(count)} from clipboard.${describeRevertHint()}`);
     } catch (error) {
         console.error('Failed to read signatures from clipboard', error);
         showSignatureMessage('Unable to read clipboard. Grant permission and try again.', true);
     }
 }
 
+export function applySignaturePaste(text) {
+    const system = signatureState.currentSystem;
+    if (!system) {
+        return { applied: false, message: 'Select a system on the map before pasting scan results.' };
+    }
+    const count = loadSignaturesFromText(system, text);
+    if (count === null) {
+        return { applied: false, message: 'Pasted text did not contain recognizable signatures.' };
+    }
+    showSignatureMessage(`Loaded ${describeSignatureCount(count)} from paste.${describeRevertHint()}`);
+    return { applied: true, system, count };
+}
+
+function loadSignaturesFromText(system, text) {
+    const normalized = sanitizeSignatureList(parseClipboardSignatures(text));
+    if (normalized.length === 0) {
+        return null;
+    }
+    const { index } = pushSystemVersion(system, normalized, HISTORY_VERSION_SOURCE_CLIPBOARD);
+    const version = applyHistoryIndex(system, index);
+    persistSignatures();
+    runSignatureAnalysis();
+    return version && Array.isArray(version.signatures) ? version.signatures.length : 0;
+}
+
+function describeRevertHint() {
+    const navigationState = getHistoryNavigationState(signatureState.currentSystem);
+    return navigationState.hasBack ? ' Use Back to revert.' : '';
+}
+
 function handleClearSignatures() {
     const system = signatureState.currentSystem;
     if (!system) {
@@ -704,7 +715,7 @@ function handleToggleSignatureOverride(row) {
     runSignatureAnalysis();
 }
 
-function parseClipboardSignatures(rawText) {
+export function parseClipboardSignatures(rawText) {
     if (!rawText) {
         return [];
     }
@@ -817,6 +828,27 @@ function collectActiveBookmarks(system) {
     });
 }
 
+/**
+ * Lists, per system, the signatures in its current scan that no bookmark in
+ * `bookmarks` covers yet. `timestamp` is when that scan was pasted.
+ */
+export function listUnscannedSignatures(bookmarks = signatureState.bookmarksAll) {
+    const rows = Array.isArray(bookmarks) ? bookmarks : [];
+    const results = [];
+    signatureState.perSystem.forEach((history, system) => {
+        const version = history && history.currentIndex >= 0 ? history.versions[history.currentIndex] : null;
+        if (!version || !Array.isArray(version.signatures) || version.signatures.length === 0) {
+            return;
+        }
+        const systemBookmarks = rows.filter((row) => row && row.SOL === system && isTrackableBookmark(row.Label));
+        const { missing } = computeSignatureMatches(version.signatures, systemBookmarks);
+        if (missing.length) {
+            results.push({ system, signatures: missing, timestamp: version.timestamp });
+        }
+    });
+    return results;
+}
+
 function computeSignatureMatches(signatures, bookmarks) {
     const bookmarkIndex = new Map();
     const matchedKeys = new Set();
@@ -1125,16 +1157,7 @@ async function handleGenerateInBookmark(row) {
             return;
         }
 
-        await ensureSystemsData();
-
-        const classCode = await resolveDestinationClassCode(showInfo);
-        const sizeCode = resolveShipSizeCode(showInfo.sizeRaw);
-        const connectionCode = resolveInboundConnectionCode(showInfo);
-        const destinationName = inferDestinationSystemName(showInfo, row);
-        const flags = collectStabilityFlags(showInfo);
-        const signatureToken = resolveSignaturePrefix(row.signature, row.signatureId);
-        const classSegment = buildClassSegment(classCode, connectionCode, sizeCode);
-        const label = safeJoinTokens([`-${signatureToken}`, classSegment, destinationName, ...flags]);
+        const label = await buildInboundBookmarkLabel(row, showInfo);
         const copied = await writeTextToClipboard(label);
         showSignatureMessage(
             copied ? `Copied inbound bookmark label: ${label}` : `Generated inbound bookmark label: ${label}`
@@ -1145,6 +1168,47 @@ async function handleGenerateInBookmark(row) {
     }
 }
 
+// Pasted show info has no row attached, so it only applies when exactly one
+// wormhole signature in the active system still lacks a bookmark.
+export async function applyShowInfoPaste(text) {
+    const system = signatureState.currentSystem;
+    if (!system) {
+        return { applied: false, message: 'Select a system on the map before pasting wormhole show info.' };
+    }
+    const showInfo = parseWormholeShowInfo(text);
+    if (!showInfo || !showInfo.wormholeType) {
+        return { applied: false, message: 'Pasted text does not look like wormhole show info.' };
+    }
+    const candidates = signatureState.tableRows.filter((row) => row.status === 'missing' && row.isWormhole);
+    if (candidates.length !== 1) {
+        const message = candidates.length
+            ? `${candidates.length} unbookmarked wormholes in ${system}; use IN BM on the right signature.`
+            : `No unbookmarked wormhole signature in ${system}.`;
+        return { applied: false, message };
+    }
+
+    const [row] = candidates;
+    const label = await buildInboundBookmarkLabel(row, showInfo);
+    const copied = await writeTextToClipboard(label);
+    showSignatureMessage(
+        copied ? `Copied inbound bookmark label: ${label}` : `Generated inbound bookmark label: ${label}`
+    );
+    return { applied: true, system, signatureId: row.signatureId, label, copied };
+}
+
+async function buildInboundBookmarkLabel(row, showInfo) {
+    await ensureSystemsData();
+
+    const classCode = await resolveDestinationClassCode(showInfo);
+    const sizeCode = resolveShipSizeCode(showInfo.sizeRaw);
+    const connectionCode = resolveInboundConnectionCode(showInfo);
+    const destinationName = inferDestinationSystemName(showInfo, row);
+    const flags = collectStabilityFlags(showInfo);
+    const signatureToken = resolveSignaturePrefix(row.signature, row.signatureId);
+    const classSegment = buildClassSegment(classCode, connectionCode, sizeCode);
+    return safeJoinTokens([`-${signatureToken}`, classSegment, destinationName, ...flags]);
+}
+
 async function handleGenerateOutBookmark(row) {
     if (!row || !row.signatureId) {
         showSignatureMessage('Select a wormhole signature row first.', true);
@@ -1164,7 +1228,7 @@ async function handleGenerateOutBookmark(row) {
         const homeSystemName = signatureState.currentSystem;
         const homeClass = (await resolveSystemClassCode(homeSystemName)) || '??';
         const sizeCode = resolveOutboundSizeCode(row);
-        const flags = collectFlagsFromBookmarkLabel(extractBookmarkLabel(row));
+        const flags = collectLabelFlags(extractBookmarkLabel(row));
         const connectionCode = resolveOutboundConnectionCode(row);
         const classSegment = buildClassSegment(homeClass, connectionCode, sizeCode);
         const label = safeJoinTokens(['--???', classSegment, homeSystemName, ...flags]);
@@ -1255,77 +1319,6 @@ function inferSizeCodeFromBookmarkLabel(label) {
     return null;
 }
 
-function collectFlagsFromBookmarkLabel(label) {
-    if (!label) {
-        return [];
-    }
-    const tokens = label.trim().split(/\s+/);
-    const flags = [];
-    tokens.forEach((token) => {
-        const upper = token.toUpperCase();
-        if ((upper === 'VEOL' || upper === 'EOL' || upper === 'CRIT') && !flags.includes(upper)) {
-            flags.push(upper);
-        }
-    });
-    return flags;
-}
-
-function extractClassSegmentFromLabel(label) {
-    if (!label || typeof label !== 'string') {
-        return null;
-    }
-    const tokens = label.trim().split(/\s+/);
-    if (tokens.length < 2) {
-        return null;
-    }
-    return tokens[1];
-}
-
-function parseClassSegment(segment) {
-    if (!segment || typeof segment !== 'string') {
-        return {
-            classCode: null,
-            connectionCode: null,
-            sizeCode: null
-        };
-    }
-    const trimmed = segment.trim();
-    if (!trimmed) {
-        return {
-            classCode: null,
-            connectionCode: null,
-            sizeCode: null
-        };
-    }
-    const sizeMatch = trimmed.match(/(XL|F|D|S|M|L)$/i);
-    let sizeCode = null;
-    let base = trimmed;
-    if (sizeMatch && sizeMatch[1]) {
-        sizeCode = sizeMatch[1].toUpperCase();
-        base = trimmed.slice(0, trimmed.length - sizeMatch[1].length);
-    }
-    if (!base) {
-        return {
-            classCode: null,
-            connectionCode: null,
-            sizeCode
-        };
-    }
-    const connectionMatch = base.match(/([A-Za-z])$/);
-    let connectionCode = null;
-    let classCode = base;
-    if (connectionMatch && connectionMatch[1]) {
-        connectionCode = connectionMatch[1].toLowerCase();
-        classCode = base.slice(0, base.length - connectionMatch[1].length);
-    }
-    classCode = classCode ? classCode.toUpperCase() : null;
-    return {
-        classCode,
-        connectionCode,
-        sizeCode
-    };
-}
-
 async function ensureSystemsData() {
     if (systemsDataCache) {
         return systemsDataCache;
@@ -1466,7 +1459,7 @@ function parseSecurityClass(securityStatus) {
     return 'NS';
 }
 
-function parseWormholeShowInfo(rawText) {
+export function parseWormholeShowInfo(rawText) {
     if (!rawText) {
         return null;
     }
@@ -6,6 +6,8 @@ const MAX_LEADERBOARD_ENTRIES = 10;
 const statsState = {
     initialized: false,
     pendingData: null,
+    activeTab: 'current',
+    tabHandlers: new Map(),
     dom: {
         totalBookmarks: null,
         totalSystems: null,
@@ -18,6 +20,7 @@ const statsState = {
 document.addEventListener('DOMContentLoaded', initBookmarkStats);
 
 function initBookmarkStats() {
+    initStatsTabs();
     statsState.dom.totalBookmarks = document.getElementById('statsTotalBookmarks');
     statsState.dom.totalSystems = document.getElementById('statsTotalSystems');
     statsState.dom.totalConnections = document.getElementById('statsTotalConnections');
@@ -35,6 +38,54 @@ function initBookmarkStats() {
     }
 }
 
+function initStatsTabs() {
+    const tabs = Array.from(document.querySelectorAll('[data-stats-tab]'));
+    tabs.forEach((tab, index) => {
+        tab.addEventListener('click', () => selectStatsTab(tab.dataset.statsTab));
+        tab.addEventListener('keydown', (event) => {
+            if (event.key !== 'ArrowLeft' && event.key !== 'ArrowRight') {
+                return;
+            }
+            event.preventDefault();
+            const offset = event.key === 'ArrowRight' ? 1 : -1;
+            const nextTab = tabs[(index + offset + tabs.length) % tabs.length];
+            nextTab.focus();
+            selectStatsTab(nextTab.dataset.statsTab);
+        });
+    });
+}
+
+function selectStatsTab(tabId) {
+    statsState.activeTab = tabId;
+    document.querySelectorAll('[data-stats-tab]').forEach((tab) => {
+        const isActive = tab.dataset.statsTab === tabId;
+        tab.classList.toggle('is-active', isActive);
+        tab.setAttribute('aria-selected', isActive ? 'true' : 'false');
+        tab.tabIndex = isActive ? 0 : -1;
+        const panel = document.getElementById(tab.getAttribute('aria-controls'));
+        if (panel) {
+            panel.hidden = !isActive;
+        }
+    });
+    const onShow = statsState.tabHandlers.get(tabId);
+    if (typeof onShow === 'function') {
+        onShow();
+    }
+}
+
+// Tabs beyond the current snapshot render lazily: `onShow` runs whenever the
+// tab is selected.
+export function registerStatsTab(tabId, onShow) {
+    statsState.tabHandlers.set(tabId, onShow);
+    if (statsState.activeTab === tabId) {
+        onShow();
+    }
+}
+
+export function isStatsTabActive(tabId) {
+    return statsState.activeTab === tabId;
+}
+
 function updateBookmarkStats(data) {
     const dataset = Array.isArray(data) ? data : [];
     if (!statsState.initialized) {
@@ -52,18 +103,7 @@ function renderStats(data) {
     }
 
     if (statsState.dom.totalSystems) {
-        const systems = new Set();
-        safeData.forEach((row) => {
-            const rawSystem = row?.SOL;
-            if (!rawSystem) {
-                return;
-            }
-            const normalized = rawSystem.toString().trim();
-            if (normalized) {
-                systems.add(normalized.toUpperCase());
-            }
-        });
-        statsState.dom.totalSystems.textContent = systems.size.toString();
+        statsState.dom.totalSystems.textContent = countSystems(safeData).toString();
     }
 
     const connectionsSummary = computeConnectionSummary(safeData);
@@ -73,6 +113,21 @@ function renderStats(data) {
     renderLeaderboard(connectionsSummary.leaderboard);
 }
 
+export function countSystems(data) {
+    const systems = new Set();
+    (Array.isArray(data) ? data : []).forEach((row) => {
+        const rawSystem = row?.SOL;
+        if (!rawSystem) {
+            return;
+        }
+        const normalized = rawSystem.toString().trim();
+        if (normalized) {
+            systems.add(normalized.toUpperCase());
+        }
+    });
+    return systems.size;
+}
+
 function renderLeaderboard(entries) {
     const listEl = statsState.dom.leaderboardList;
     const emptyEl = statsState.dom.leaderboardEmpty;
@@ -112,10 +167,15 @@ function renderLeaderboard(entries) {
     });
 }
 
-function computeConnectionSummary(data) {
+/**
+ * Groups wormhole bookmarks by the system pair they link, whether or not the
+ * other side has been bookmarked yet. `hasReturn` is set once both directions
+ * carry a bookmark.
+ */
+export function collectConnectionCandidates(data) {
     const candidates = new Map();
 
-    data.forEach((row) => {
+    (Array.isArray(data) ? data : []).forEach((row) => {
         const rawLabel = (row?.Label || '').toString();
         if (!rawLabel.startsWith('-')) {
             return;
@@ -139,6 +199,7 @@ function computeConnectionSummary(data) {
         if (!candidate) {
             candidate = {
                 key: candidateKey,
+                systems: candidateKey.split('|'),
                 directions: new Map(),
                 hasPlaceholder: containsPlaceholder(normalizedFrom) || containsPlaceholder(normalizedTo)
             };
@@ -155,9 +216,7 @@ function computeConnectionSummary(data) {
         directionRows.push(row);
     });
 
-    let totalConnections = 0;
-    const leaderboardCounts = new Map();
-
+    const result = [];
     candidates.forEach((candidate) => {
         const directionGraph = new Map();
         candidate.directions.forEach((_rows, pairKey) => {
@@ -180,11 +239,23 @@ function computeConnectionSummary(data) {
             });
         });
 
-        if (!hasOppositePair && !candidate.hasPlaceholder) {
-            return;
-        }
+        candidate.hasReturn = hasOppositePair;
+        result.push(candidate);
+    });
+    return result;
+}
+
+// Connections count once both directions are bookmarked, or when one side is
+// still an unscanned "???" placeholder.
+export function collectConnections(data) {
+    return collectConnectionCandidates(data).filter((candidate) => candidate.hasReturn || candidate.hasPlaceholder);
+}
+
+export function computeConnectionSummary(data) {
+    const connections = collectConnections(data);
+    const leaderboardCounts = new Map();
 
-        totalConnections += 1;
+    connections.forEach((candidate) => {
         const creators = new Set();
         candidate.directions.forEach((rows) => {
             rows.forEach((row) => {
@@ -208,7 +279,7 @@ function computeConnectionSummary(data) {
         .map(([creator, count]) => ({ creator, count }));
 
     return {
-        totalConnections,
+        totalConnections: connections.length,
         leaderboard
     };
 }
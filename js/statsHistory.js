@@ -0,0 +1,343 @@
+import { collectConnections, isStatsTabActive, registerStatsTab } from './stats.js';
+import { collectLabelFlags } from './bookmarkLabel.js';
+import { formatTimestamp } from './eveTime.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CHART_WIDTH = 480;
+const CHART_HEIGHT = 180;
+const CHART_MARGIN = { top: 10, right: 12, bottom: 24, left: 34 };
+
+const CHAIN_SERIES = [
+    { key: 'chainSize', label: 'Chain systems', color: '#00ff00' },
+    { key: 'connections', label: 'Connections', color: '#00e0ff' },
+    { key: 'eolLinks', label: 'EOL links', color: '#ffb870' },
+    { key: 'critLinks', label: 'CRIT links', color: '#ff6b6b' }
+];
+
+const historyState = {
+    metricsCache: new Map(),
+    loadToken: 0
+};
+
+const historyDom = {
+    range: null,
+    from: null,
+    to: null,
+    message: null,
+    chainChart: null,
+    chainLegend: null,
+    reachChart: null
+};
+
+/**
+ * Summarizes one snapshot for the history charts. `systems` lists every
+ * system the snapshot reaches, for the per-day counts.
+ */
+export function computeSnapshotMetrics(data) {
+    const connections = collectConnections(data);
+    const chainSystems = new Set();
+    let eolLinks = 0;
+    let critLinks = 0;
+
+    connections.forEach((connection) => {
+        connection.systems.forEach((system) => {
+            if (system && !system.includes('?')) {
+                chainSystems.add(system);
+            }
+        });
+        const flags = new Set();
+        connection.directions.forEach((rows) => {
+            rows.forEach((row) => collectLabelFlags((row?.Label || '').toString()).forEach((flag) => flags.add(flag)));
+        });
+        if (flags.has('EOL') || flags.has('VEOL')) {
+            eolLinks += 1;
+        }
+        if (flags.has('CRIT')) {
+            critLinks += 1;
+        }
+    });
+
+    const systems = new Set(chainSystems);
+    (Array.isArray(data) ? data : []).forEach((row) => {
+        const system = (row?.SOL || '').toString().trim().toUpperCase();
+        if (system) {
+            systems.add(system);
+        }
+    });
+
+    return {
+        chainSize: chainSystems.size,
+        connections: connections.length,
+        eolLinks,
+        critLinks,
+        systems: Array.from(systems)
+    };
+}
+
+// Days are EVE (UTC) days, matching how the rest of the app reads dates.
+export function computeDailyReach(entries) {
+    const days = new Map();
+    entries.forEach((entry) => {
+        const day = new Date(entry.time).toISOString().slice(0, 10);
+        let systems = days.get(day);
+        if (!systems) {
+            systems = new Set();
+            days.set(day, systems);
+        }
+        entry.metrics.systems.forEach((system) => systems.add(system));
+    });
+    return Array.from(days.entries())
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([day, systems]) => ({ day, time: Date.parse(`${day}T00:00:00Z`), count: systems.size }));
+}
+
+function toDayInputValue(time) {
+    return new Date(time).toISOString().slice(0, 10);
+}
+
+function parseDayInputValue(value, endOfDay = false) {
+    if (!value) {
+        return null;
+    }
+    const time = Date.parse(`${value}T00:00:00Z`);
+    if (Number.isNaN(time)) {
+        return null;
+    }
+    return endOfDay ? time + DAY_MS - 1 : time;
+}
+
+function applyRangePreset(summaries) {
+    const preset = historyDom.range.value;
+    if (preset === 'custom') {
+        return;
+    }
+    const times = summaries.map((summary) => Date.parse(summary.timestamp)).filter(Number.isFinite);
+    const latest = times.length ? Math.max(...times, Date.now()) : Date.now();
+    let earliest;
+    if (preset === 'all') {
+        earliest = times.length ? Math.min(...times) : latest;
+    } else {
+        earliest = latest - (Number.parseInt(preset, 10) - 1) * DAY_MS;
+    }
+    historyDom.from.value = toDayInputValue(earliest);
+    historyDom.to.value = toDayInputValue(latest);
+}
+
+function setHistoryMessage(text) {
+    if (historyDom.message) {
+        historyDom.message.textContent = text;
+        historyDom.message.hidden = !text;
+    }
+}
+
+async function loadMetrics(summaries, token) {
+    const entries = [];
+    for (let index = 0; index < summaries.length; index += 1) {
+        const { timestamp } = summaries[index];
+        let metrics = historyState.metricsCache.get(timestamp);
+        if (!metrics) {
+            setHistoryMessage(`Reading snapshot ${index + 1} of ${summaries.length}…`);
+            const version = await window.getVersion(timestamp);
+            if (token !== historyState.loadToken) {
+                return null;
+            }
+            metrics = computeSnapshotMetrics(version ? version.data : []);
+            historyState.metricsCache.set(timestamp, metrics);
+        }
+        entries.push({ timestamp, time: Date.parse(timestamp), metrics });
+    }
+    return entries;
+}
+
+async function refreshHistory() {
+    if (!historyDom.chainChart || typeof window.listVersionSummaries !== 'function') {
+        return;
+    }
+    historyState.loadToken += 1;
+    const token = historyState.loadToken;
+
+    let summaries = [];
+    try {
+        summaries = await window.listVersionSummaries();
+    } catch (error) {
+        console.error('Failed to list versions for statistics history', error);
+        setHistoryMessage('Could not read stored snapshots.');
+        return;
+    }
+    if (token !== historyState.loadToken) {
+        return;
+    }
+
+    applyRangePreset(summaries);
+    const from = parseDayInputValue(historyDom.from.value) ?? Number.NEGATIVE_INFINITY;
+    const to = parseDayInputValue(historyDom.to.value, true) ?? Number.POSITIVE_INFINITY;
+    const inRange = summaries
+        .filter((summary) => {
+            const time = Date.parse(summary.timestamp);
+            return time >= from && time <= to;
+        })
+        .sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+
+    let entries;
+    try {
+        entries = await loadMetrics(inRange, token);
+    } catch (error) {
+        console.error('Failed to load snapshots for statistics history', error);
+        setHistoryMessage('Could not read stored snapshots.');
+        return;
+    }
+    if (!entries) {
+        return;
+    }
+
+    historyDom.chainChart.innerHTML = '';
+    historyDom.reachChart.innerHTML = '';
+    if (!summaries.length) {
+        setHistoryMessage('No snapshots stored yet.');
+        return;
+    }
+    if (!entries.length) {
+        setHistoryMessage('No snapshots in this date range.');
+        return;
+    }
+    setHistoryMessage('');
+    renderChainChart(entries);
+    renderReachChart(computeDailyReach(entries));
+}
+
+function createChartSvg(container, label) {
+    return d3.select(container)
+        .append('svg')
+        .attr('class', 'stats-chart-svg')
+        .attr('viewBox', `0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`)
+        .attr('role', 'img')
+        .attr('aria-label', label);
+}
+
+function renderYAxis(svg, maxValue) {
+    const y = d3.scaleLinear()
+        .domain([0, Math.max(1, maxValue)])
+        .nice()
+        .range([CHART_HEIGHT - CHART_MARGIN.bottom, CHART_MARGIN.top]);
+    svg.append('g')
+        .attr('class', 'stats-chart-axis')
+        .attr('transform', `translate(${CHART_MARGIN.left},0)`)
+        .call(d3.axisLeft(y).ticks(4).tickFormat(d3.format('d')));
+    return y;
+}
+
+function renderChainChart(entries) {
+    const svg = createChartSvg(historyDom.chainChart, 'Chain size, connections, EOL and CRIT links per snapshot');
+    let [start, end] = d3.extent(entries, (entry) => entry.time);
+    if (start === end) {
+        start -= DAY_MS / 2;
+        end += DAY_MS / 2;
+    }
+    const x = d3.scaleUtc()
+        .domain([start, end])
+        .range([CHART_MARGIN.left, CHART_WIDTH - CHART_MARGIN.right]);
+    const maxValue = d3.max(entries, (entry) => d3.max(CHAIN_SERIES, (series) => entry.metrics[series.key]));
+    const y = renderYAxis(svg, maxValue);
+    svg.append('g')
+        .attr('class', 'stats-chart-axis')
+        .attr('transform', `translate(0,${CHART_HEIGHT - CHART_MARGIN.bottom})`)
+        .call(d3.axisBottom(x).ticks(5).tickFormat(d3.utcFormat('%m.%d')));
+
+    CHAIN_SERIES.forEach((series) => {
+        const line = d3.line()
+            .x((entry) => x(entry.time))
+            .y((entry) => y(entry.metrics[series.key]));
+        svg.append('path')
+            .datum(entries)
+            .attr('class', 'stats-chart-line')
+            .attr('stroke', series.color)
+            .attr('d', line);
+        svg.append('g')
+            .selectAll('circle')
+            .data(entries)
+            .enter()
+            .append('circle')
+            .attr('cx', (entry) => x(entry.time))
+            .attr('cy', (entry) => y(entry.metrics[series.key]))
+            .attr('r', 2.5)
+            .attr('fill', series.color)
+            .append('title')
+            .text((entry) => `${formatTimestamp(entry.time, { zone: true })}\n${series.label}: ${entry.metrics[series.key]}`);
+    });
+
+    historyDom.chainLegend.innerHTML = '';
+    CHAIN_SERIES.forEach((series) => {
+        const item = document.createElement('li');
+        const swatch = document.createElement('span');
+        swatch.className = 'stats-chart-swatch';
+        swatch.style.background = series.color;
+        item.append(swatch, series.label);
+        historyDom.chainLegend.appendChild(item);
+    });
+}
+
+function renderReachChart(days) {
+    const svg = createChartSvg(historyDom.reachChart, 'Distinct systems reached per day');
+    const x = d3.scaleBand()
+        .domain(days.map((day) => day.day))
+        .range([CHART_MARGIN.left, CHART_WIDTH - CHART_MARGIN.right])
+        .padding(0.2);
+    const y = renderYAxis(svg, d3.max(days, (day) => day.count));
+    // Keep roughly six day labels however long the range is.
+    const labelStep = Math.max(1, Math.ceil(days.length / 6));
+    svg.append('g')
+        .attr('class', 'stats-chart-axis')
+        .attr('transform', `translate(0,${CHART_HEIGHT - CHART_MARGIN.bottom})`)
+        .call(d3.axisBottom(x)
+            .tickValues(days.filter((day, index) => index % labelStep === 0).map((day) => day.day))
+            .tickFormat((day) => day.slice(5).replace('-', '.')));
+
+    svg.append('g')
+        .selectAll('rect')
+        .data(days)
+        .enter()
+        .append('rect')
+        .attr('class', 'stats-chart-bar')
+        .attr('x', (day) => x(day.day))
+        .attr('y', (day) => y(day.count))
+        .attr('width', x.bandwidth())
+        .attr('height', (day) => y(0) - y(day.count))
+        .append('title')
+        .text((day) => `${day.day.replace(/-/g, '.')}: ${day.count} system${day.count === 1 ? '' : 's'}`);
+}
+
+function refreshIfVisible() {
+    if (isStatsTabActive('history')) {
+        refreshHistory();
+    }
+}
+
+function initStatsHistory() {
+    historyDom.range = document.getElementById('statsHistoryRange');
+    historyDom.from = document.getElementById('statsHistoryFrom');
+    historyDom.to = document.getElementById('statsHistoryTo');
+    historyDom.message = document.getElementById('statsHistoryMessage');
+    historyDom.chainChart = document.getElementById('statsHistoryChainChart');
+    historyDom.chainLegend = document.getElementById('statsHistoryChainLegend');
+    historyDom.reachChart = document.getElementById('statsHistoryReachChart');
+    if (!historyDom.range || !historyDom.from || !historyDom.to || !historyDom.chainChart || !historyDom.reachChart) {
+        return;
+    }
+
+    historyDom.range.addEventListener('change', refreshHistory);
+    [historyDom.from, historyDom.to].forEach((input) => {
+        input.addEventListener('change', () => {
+            historyDom.range.value = 'custom';
+            refreshHistory();
+        });
+    });
+    document.addEventListener('bookmarkVersionChanged', refreshIfVisible);
+    document.addEventListener('bookmarkVersionsPruned', (event) => {
+        const timestamps = event.detail ? event.detail.timestamps : [];
+        timestamps.forEach((timestamp) => historyState.metricsCache.delete(timestamp));
+        refreshIfVisible();
+    });
+    registerStatsTab('history', refreshHistory);
+}
+
+document.addEventListener('DOMContentLoaded', initStatsHistory);
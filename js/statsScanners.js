@@ -0,0 +1,335 @@
+import { collectConnections, isStatsTabActive, registerStatsTab } from './stats.js';
+import { getRowLabelFields } from './bookmarkLabel.js';
+import { parseBookmarkExpiry } from './bookmarkTimers.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+// A system pair bookmarked again after the longest wormhole lifetime is a new
+// wormhole, not the same connection.
+const CONNECTION_REUSE_MS = 48 * HOUR_MS;
+const MAX_HEATMAP_PILOTS = 10;
+const UNKNOWN_CREATOR = 'Unknown';
+
+const SCANNER_WINDOWS = {
+    day: DAY_MS,
+    week: 7 * DAY_MS,
+    month: 30 * DAY_MS,
+    all: Number.POSITIVE_INFINITY
+};
+
+const scannersState = {
+    versionCache: new Map(),
+    loadToken: 0
+};
+
+const scannersDom = {
+    window: null,
+    message: null,
+    table: null,
+    tableBody: null,
+    heatmap: null
+};
+
+function getCreator(row) {
+    return (row?.Creator || '').toString().trim() || UNKNOWN_CREATOR;
+}
+
+// Bookmarks are credited when they were made: the Date column, or the snapshot
+// they first appear in when it is missing.
+function getCreatedAt(row, fallbackTime) {
+    const info = parseBookmarkExpiry(row?.Date);
+    return info.type === 'timestamp' ? info.timestamp : fallbackTime;
+}
+
+// Label edits such as adding EOL must not make a bookmark count twice, so the
+// identity leaves the label out when the signature is known.
+function getBookmarkIdentity(row, fields) {
+    return [
+        (row?.SOL || '').toString().trim().toUpperCase(),
+        getCreator(row),
+        (row?.Date || '').toString().trim(),
+        fields.sig || (row?.Label || '').toString().trim()
+    ].join('|');
+}
+
+/**
+ * Pulls the scanning events out of one snapshot: every bookmark with its
+ * signature and destination class, and every connection each pilot
+ * bookmarked a side of.
+ */
+export function extractScannerEvents(data, snapshotTime) {
+    const rows = Array.isArray(data) ? data : [];
+    const bookmarks = rows.map((row) => {
+        const fields = getRowLabelFields(row);
+        return {
+            key: getBookmarkIdentity(row, fields),
+            creator: getCreator(row),
+            time: getCreatedAt(row, snapshotTime),
+            isSignature: Boolean(fields.sig),
+            classCode: (row?.Label || '').toString().startsWith('-') ? fields.classCode : null
+        };
+    });
+
+    const connections = [];
+    collectConnections(rows).forEach((connection) => {
+        const earliestByCreator = new Map();
+        connection.directions.forEach((directionRows) => {
+            directionRows.forEach((row) => {
+                const creator = getCreator(row);
+                const time = getCreatedAt(row, snapshotTime);
+                const earliest = earliestByCreator.get(creator);
+                if (earliest === undefined || time < earliest) {
+                    earliestByCreator.set(creator, time);
+                }
+            });
+        });
+        earliestByCreator.forEach((time, creator) => {
+            connections.push({ key: connection.key, creator, time });
+        });
+    });
+
+    return { bookmarks, connections };
+}
+
+/**
+ * Merges per-snapshot events (oldest snapshot first) so each bookmark and
+ * each connection is credited once however many snapshots carry it.
+ */
+export function mergeScannerEvents(snapshots) {
+    const bookmarks = new Map();
+    const connections = [];
+    const lastConnection = new Map();
+
+    snapshots.forEach((events) => {
+        events.bookmarks.forEach((bookmark) => {
+            if (!bookmarks.has(bookmark.key)) {
+                bookmarks.set(bookmark.key, bookmark);
+            }
+        });
+        events.connections.forEach((connection) => {
+            const creditKey = `${connection.key}|${connection.creator}`;
+            const previous = lastConnection.get(creditKey);
+            if (previous && connection.time - previous.time < CONNECTION_REUSE_MS) {
+                return;
+            }
+            lastConnection.set(creditKey, connection);
+            connections.push(connection);
+        });
+    });
+
+    return { bookmarks: Array.from(bookmarks.values()), connections };
+}
+
+function getPilotEntry(pilots, creator) {
+    let entry = pilots.get(creator);
+    if (!entry) {
+        entry = {
+            creator,
+            connections: 0,
+            signatures: 0,
+            bookmarks: 0,
+            classes: new Set(),
+            hours: new Array(24).fill(0)
+        };
+        pilots.set(creator, entry);
+    }
+    return entry;
+}
+
+/**
+ * Builds the per-pilot leaderboard for events in `[from, to]`, plus the
+ * hour-of-day (EVE time) counts for everyone combined.
+ */
+export function summarizeScannerEvents(events, { from = Number.NEGATIVE_INFINITY, to = Number.POSITIVE_INFINITY } = {}) {
+    const pilots = new Map();
+    const totalHours = new Array(24).fill(0);
+    const inWindow = (time) => Number.isFinite(time) && time >= from && time <= to;
+
+    events.bookmarks.forEach((bookmark) => {
+        if (!inWindow(bookmark.time)) {
+            return;
+        }
+        const entry = getPilotEntry(pilots, bookmark.creator);
+        const hour = new Date(bookmark.time).getUTCHours();
+        entry.bookmarks += 1;
+        entry.hours[hour] += 1;
+        totalHours[hour] += 1;
+        if (bookmark.isSignature) {
+            entry.signatures += 1;
+        }
+        if (bookmark.classCode && !bookmark.classCode.includes('?')) {
+            entry.classes.add(bookmark.classCode);
+        }
+    });
+    events.connections.forEach((connection) => {
+        if (inWindow(connection.time)) {
+            getPilotEntry(pilots, connection.creator).connections += 1;
+        }
+    });
+
+    const leaderboard = Array.from(pilots.values()).sort((a, b) => (
+        b.connections - a.connections
+        || b.signatures - a.signatures
+        || a.creator.localeCompare(b.creator)
+    ));
+    return { leaderboard, totalHours };
+}
+
+function setScannersMessage(text) {
+    if (scannersDom.message) {
+        scannersDom.message.textContent = text;
+        scannersDom.message.hidden = !text;
+    }
+}
+
+async function loadScannerEvents(summaries, token) {
+    const snapshots = [];
+    for (let index = 0; index < summaries.length; index += 1) {
+        const { timestamp } = summaries[index];
+        let events = scannersState.versionCache.get(timestamp);
+        if (!events) {
+            setScannersMessage(`Reading snapshot ${index + 1} of ${summaries.length}…`);
+            const version = await window.getVersion(timestamp);
+            if (token !== scannersState.loadToken) {
+                return null;
+            }
+            events = extractScannerEvents(version ? version.data : [], Date.parse(timestamp));
+            scannersState.versionCache.set(timestamp, events);
+        }
+        snapshots.push(events);
+    }
+    return mergeScannerEvents(snapshots);
+}
+
+async function refreshScanners() {
+    if (!scannersDom.tableBody || typeof window.listVersionSummaries !== 'function') {
+        return;
+    }
+    scannersState.loadToken += 1;
+    const token = scannersState.loadToken;
+
+    let events;
+    try {
+        const summaries = await window.listVersionSummaries();
+        if (token !== scannersState.loadToken) {
+            return;
+        }
+        summaries.sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+        events = await loadScannerEvents(summaries, token);
+    } catch (error) {
+        console.error('Failed to load snapshots for scanner statistics', error);
+        setScannersMessage('Could not read stored snapshots.');
+        return;
+    }
+    if (!events) {
+        return;
+    }
+
+    const span = SCANNER_WINDOWS[scannersDom.window.value] ?? SCANNER_WINDOWS.week;
+    const now = Date.now();
+    const summary = summarizeScannerEvents(events, { from: now - span, to: now });
+    setScannersMessage(summary.leaderboard.length ? '' : 'No bookmarks were made in this window.');
+    renderScannerTable(summary.leaderboard);
+    renderHeatmap(summary);
+}
+
+function renderScannerTable(leaderboard) {
+    const body = scannersDom.tableBody;
+    body.innerHTML = '';
+    scannersDom.table.hidden = !leaderboard.length;
+    leaderboard.forEach((entry) => {
+        const tr = document.createElement('tr');
+        const name = document.createElement('th');
+        name.scope = 'row';
+        name.textContent = entry.creator;
+        tr.appendChild(name);
+        [entry.connections, entry.signatures].forEach((value) => {
+            const td = document.createElement('td');
+            td.className = 'stats-scanners-count';
+            td.textContent = value.toString();
+            tr.appendChild(td);
+        });
+        const classes = document.createElement('td');
+        classes.textContent = Array.from(entry.classes).sort().join(' ') || '—';
+        tr.appendChild(classes);
+        body.appendChild(tr);
+    });
+}
+
+function appendHeatmapRow(tbody, label, hours, max) {
+    const tr = document.createElement('tr');
+    const name = document.createElement('th');
+    name.scope = 'row';
+    name.textContent = label;
+    tr.appendChild(name);
+    hours.forEach((count, hour) => {
+        const td = document.createElement('td');
+        td.className = 'stats-heatmap-cell';
+        td.style.background = count ? `rgba(0, 255, 0, ${(0.15 + 0.85 * (count / max)).toFixed(2)})` : '';
+        td.title = `${label}, ${hour.toString().padStart(2, '0')}:00–${((hour + 1) % 24).toString().padStart(2, '0')}:00 EVE: ${count} bookmark${count === 1 ? '' : 's'}`;
+        tr.appendChild(td);
+    });
+    tbody.appendChild(tr);
+}
+
+// Rows are shaded against the busiest hour of their own row, so quiet pilots
+// still show when they are active.
+function renderHeatmap({ leaderboard, totalHours }) {
+    const container = scannersDom.heatmap;
+    container.innerHTML = '';
+    if (!leaderboard.length) {
+        return;
+    }
+    const table = document.createElement('table');
+    table.className = 'stats-heatmap';
+    const head = document.createElement('thead');
+    const headRow = document.createElement('tr');
+    headRow.appendChild(document.createElement('th'));
+    for (let hour = 0; hour < 24; hour += 1) {
+        const th = document.createElement('th');
+        th.scope = 'col';
+        th.textContent = hour % 3 === 0 ? hour.toString().padStart(2, '0') : '';
+        th.setAttribute('aria-label', `${hour.toString().padStart(2, '0')}:00`);
+        headRow.appendChild(th);
+    }
+    head.appendChild(headRow);
+    table.appendChild(head);
+
+    const body = document.createElement('tbody');
+    appendHeatmapRow(body, 'All pilots', totalHours, Math.max(1, ...totalHours));
+    leaderboard
+        .slice()
+        .sort((a, b) => b.bookmarks - a.bookmarks || a.creator.localeCompare(b.creator))
+        .slice(0, MAX_HEATMAP_PILOTS)
+        .forEach((entry) => appendHeatmapRow(body, entry.creator, entry.hours, Math.max(1, ...entry.hours)));
+    table.appendChild(body);
+    container.appendChild(table);
+}
+
+function refreshIfVisible() {
+    if (isStatsTabActive('scanners')) {
+        refreshScanners();
+    }
+}
+
+function initStatsScanners() {
+    scannersDom.window = document.getElementById('statsScannersWindow');
+    scannersDom.message = document.getElementById('statsScannersMessage');
+    scannersDom.table = document.getElementById('statsScannersTable');
+    scannersDom.tableBody = scannersDom.table ? scannersDom.table.querySelector('tbody') : null;
+    scannersDom.heatmap = document.getElementById('statsScannersHeatmap');
+    if (!scannersDom.window || !scannersDom.tableBody || !scannersDom.heatmap) {
+        return;
+    }
+
+    scannersDom.window.addEventListener('change', refreshScanners);
+    document.addEventListener('bookmarkVersionChanged', refreshIfVisible);
+    document.addEventListener('bookmarkVersionsPruned', (event) => {
+        const timestamps = event.detail ? event.detail.timestamps : [];
+        timestamps.forEach((timestamp) => scannersState.versionCache.delete(timestamp));
+        refreshIfVisible();
+    });
+    registerStatsTab('scanners', refreshScanners);
+}
+
+document.addEventListener('DOMContentLoaded', initStatsScanners);
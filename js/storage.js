@@ -0,0 +1,526 @@
+import { splitRowsForStorage } from './versionRows.js';
+import { showToast } from './toast.js';
+
+const DB_NAME = 'clipboardData';
+
+export const STORES = {
+    INTEL: 'intel',
+    SIGNATURES: 'signatures',
+    ROUTES: 'routes',
+    LAYOUT: 'layout',
+    PREFERENCES: 'preferences'
+};
+
+const META_STORE = 'meta';
+const QUARANTINE_STORE = 'quarantine';
+const KEY_VALUE_STORES = Object.values(STORES);
+
+export const DEFAULT_WORKSPACE_ID = 'default';
+const WORKSPACES_META_KEY = 'workspaces';
+const ACTIVE_WORKSPACE_META_KEY = 'activeWorkspace';
+
+// Ordered schema history. Append new entries; never edit one that has shipped,
+// because browsers that already ran it will not run it again.
+const MIGRATIONS = [
+    {
+        version: 1,
+        upgrade(db) {
+            db.createObjectStore('data', { keyPath: 'id', autoIncrement: true });
+        }
+    },
+    {
+        version: 2,
+        upgrade(db) {
+            db.createObjectStore('versions', { keyPath: 'timestamp' });
+        }
+    },
+    {
+        version: 3,
+        async upgrade(db, transaction) {
+            db.createObjectStore('rows', { keyPath: 'hash' });
+            await migrateVersionsToRowRefs(transaction);
+        }
+    },
+    {
+        version: 4,
+        upgrade(db) {
+            KEY_VALUE_STORES.forEach((name) => db.createObjectStore(name));
+            db.createObjectStore(META_STORE);
+            db.createObjectStore(QUARANTINE_STORE, { keyPath: 'id', autoIncrement: true });
+        }
+    },
+    {
+        version: 5,
+        async upgrade(db, transaction) {
+            await migrateToWorkspaces(transaction);
+        }
+    },
+    {
+        version: 6,
+        async upgrade(db, transaction) {
+            await rekeyVersionsByWorkspace(db, transaction);
+        }
+    }
+];
+
+const DB_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// localStorage keys written before the storage service existed. Prefix entries
+// copy every key under the prefix, keyed by the remainder of the name.
+const LEGACY_LOCAL_STORAGE = [
+    { key: 'systemIntel:notes:v1', store: STORES.INTEL, storeKey: 'notes' },
+    { key: 'systemIntel:nicknames:v1', store: STORES.INTEL, storeKey: 'nicknames' },
+    { key: 'signatureModule:systemSignatures:v1', store: STORES.SIGNATURES, storeKey: 'systems' },
+    { key: 'bookmarkViewerPinnedRoutes', store: STORES.ROUTES, storeKey: 'pinned' },
+    { key: 'versionRetention:v1', store: STORES.PREFERENCES, storeKey: 'versionRetention' },
+    { prefix: 'moduleLayout:v3:', store: STORES.LAYOUT, rawValues: ['lockState'] }
+];
+
+const cache = new Map(KEY_VALUE_STORES.map((name) => [name, new Map()]));
+let dbPromise = null;
+let readyPromise = null;
+let isReady = false;
+// Set when the database could not be opened. Modules then start from empty
+// caches, so writes are refused rather than overwriting the real data.
+let initError = null;
+let initErrorReported = false;
+let workspaces = [];
+let activeWorkspaceId = DEFAULT_WORKSPACE_ID;
+
+// Moves full `data` copies on existing versions into the shared rows store.
+async function migrateVersionsToRowRefs(transaction) {
+    const versionStore = transaction.objectStore('versions');
+    const rowStore = transaction.objectStore('rows');
+    const versions = await versionStore.getAll();
+    for (const version of versions) {
+        if (!Array.isArray(version.data)) {
+            continue;
+        }
+        const { rowRefs, rows } = splitRowsForStorage(version.data);
+        for (const entry of rows) {
+            await rowStore.put(entry);
+        }
+        const { data, ...record } = version;
+        await versionStore.put({ ...record, rowRefs });
+    }
+}
+
+// Module store keys become [workspaceId, key] and every version is tagged with
+// its workspace; everything that existed before lands in the default workspace.
+async function migrateToWorkspaces(transaction) {
+    for (const name of KEY_VALUE_STORES) {
+        const store = transaction.objectStore(name);
+        const keys = await store.getAllKeys();
+        const values = await store.getAll();
+        await store.clear();
+        for (let index = 0; index < keys.length; index += 1) {
+            await store.put(values[index], [DEFAULT_WORKSPACE_ID, keys[index]]);
+        }
+    }
+    const versionStore = transaction.objectStore('versions');
+    versionStore.createIndex('workspace', 'workspace');
+    let cursor = await versionStore.openCursor();
+    while (cursor) {
+        if (!cursor.value.workspace) {
+            await cursor.update({ ...cursor.value, workspace: DEFAULT_WORKSPACE_ID });
+        }
+        cursor = await cursor.continue();
+    }
+    const metaStore = transaction.objectStore(META_STORE);
+    await metaStore.put([createWorkspaceRecord(DEFAULT_WORKSPACE_ID, 'Default')], WORKSPACES_META_KEY);
+    await metaStore.put(DEFAULT_WORKSPACE_ID, ACTIVE_WORKSPACE_META_KEY);
+}
+
+// Versions were keyed by timestamp alone, so two workspaces could not hold the
+// same snapshot. Key them by [workspace, timestamp] instead.
+async function rekeyVersionsByWorkspace(db, transaction) {
+    const versions = await transaction.objectStore('versions').getAll();
+    db.deleteObjectStore('versions');
+    const versionStore = db.createObjectStore('versions', { keyPath: ['workspace', 'timestamp'] });
+    versionStore.createIndex('workspace', 'workspace');
+    for (const version of versions) {
+        await versionStore.put({ ...version, workspace: version.workspace || DEFAULT_WORKSPACE_ID });
+    }
+}
+
+function createWorkspaceRecord(id, name) {
+    return { id, name, createdAt: new Date().toISOString() };
+}
+
+function workspaceKeyRange(workspaceId) {
+    return IDBKeyRange.bound([workspaceId], [workspaceId, []]);
+}
+
+export function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = idb.openDB(DB_NAME, DB_VERSION, {
+            async upgrade(db, oldVersion, newVersion, transaction) {
+                for (const migration of MIGRATIONS) {
+                    if (migration.version > oldVersion) {
+                        await migration.upgrade(db, transaction);
+                    }
+                }
+            }
+        });
+    }
+    return dbPromise;
+}
+
+function collectLegacyEntries() {
+    const entries = [];
+    const storageKeys = [];
+    for (let index = 0; index < localStorage.length; index += 1) {
+        storageKeys.push(localStorage.key(index));
+    }
+    LEGACY_LOCAL_STORAGE.forEach((legacy) => {
+        if (legacy.key) {
+            if (storageKeys.includes(legacy.key)) {
+                entries.push({ legacyKey: legacy.key, store: legacy.store, storeKey: legacy.storeKey, parse: true });
+            }
+            return;
+        }
+        storageKeys
+            .filter((key) => key && key.startsWith(legacy.prefix))
+            .forEach((key) => {
+                const storeKey = key.slice(legacy.prefix.length);
+                entries.push({
+                    legacyKey: key,
+                    store: legacy.store,
+                    storeKey,
+                    parse: !(legacy.rawValues || []).includes(storeKey)
+                });
+            });
+    });
+    return entries.map((entry) => ({ ...entry, value: localStorage.getItem(entry.legacyKey) }));
+}
+
+// Copies the old localStorage keys into their stores once. Values that no
+// longer parse are kept in the quarantine store instead of being dropped.
+async function migrateLocalStorage(db) {
+    if (await db.get(META_STORE, 'localStorageMigrated')) {
+        return 0;
+    }
+    let entries = [];
+    try {
+        entries = collectLegacyEntries();
+    } catch (error) {
+        console.warn('Failed to read legacy localStorage data', error);
+    }
+    let quarantined = 0;
+    const tx = db.transaction([...KEY_VALUE_STORES, META_STORE, QUARANTINE_STORE], 'readwrite');
+    entries.forEach((entry) => {
+        let value = entry.value;
+        if (entry.parse) {
+            try {
+                value = JSON.parse(entry.value);
+            } catch (error) {
+                tx.objectStore(QUARANTINE_STORE).add({
+                    workspace: DEFAULT_WORKSPACE_ID,
+                    store: entry.store,
+                    key: entry.storeKey,
+                    value: entry.value,
+                    source: `localStorage:${entry.legacyKey}`,
+                    reason: 'Invalid JSON',
+                    quarantinedAt: new Date().toISOString()
+                });
+                quarantined += 1;
+                return;
+            }
+        }
+        tx.objectStore(entry.store).put(value, [DEFAULT_WORKSPACE_ID, entry.storeKey]);
+    });
+    tx.objectStore(META_STORE).put(true, 'localStorageMigrated');
+    await tx.done;
+    entries.forEach((entry) => {
+        try {
+            localStorage.removeItem(entry.legacyKey);
+        } catch (error) {
+            console.warn(`Failed to remove migrated localStorage key ${entry.legacyKey}`, error);
+        }
+    });
+    return quarantined;
+}
+
+async function loadWorkspaceRegistry(db) {
+    const stored = await db.get(META_STORE, WORKSPACES_META_KEY);
+    workspaces = Array.isArray(stored) && stored.length
+        ? stored.filter((workspace) => workspace && typeof workspace.id === 'string')
+        : [createWorkspaceRecord(DEFAULT_WORKSPACE_ID, 'Default')];
+    const active = await db.get(META_STORE, ACTIVE_WORKSPACE_META_KEY);
+    activeWorkspaceId = workspaces.some((workspace) => workspace.id === active) ? active : workspaces[0].id;
+}
+
+async function readWorkspaceStore(db, workspaceId, name) {
+    const tx = db.transaction(name);
+    const range = workspaceKeyRange(workspaceId);
+    const [keys, values] = await Promise.all([tx.store.getAllKeys(range), tx.store.getAll(range)]);
+    await tx.done;
+    return new Map(keys.map((key, index) => [key[1], values[index]]));
+}
+
+async function hydrateCache(db) {
+    await Promise.all(KEY_VALUE_STORES.map(async (name) => {
+        cache.set(name, await readWorkspaceStore(db, activeWorkspaceId, name));
+    }));
+}
+
+// Opens the database, runs pending migrations and loads every module store
+// into memory so the read helpers below can stay synchronous.
+export function whenStorageReady() {
+    if (!readyPromise) {
+        readyPromise = (async () => {
+            const db = await openDatabase();
+            let quarantined = 0;
+            try {
+                quarantined = await migrateLocalStorage(db);
+            } catch (error) {
+                console.error('Failed to migrate localStorage data', error);
+            }
+            await loadWorkspaceRegistry(db);
+            await hydrateCache(db);
+            isReady = true;
+            if (quarantined > 0) {
+                notifyQuarantined(quarantined);
+            }
+        })().catch((error) => {
+            initError = error;
+            throw error;
+        });
+    }
+    return readyPromise;
+}
+
+function reportInitError(error) {
+    if (initErrorReported) {
+        return;
+    }
+    initErrorReported = true;
+    console.error('Failed to initialize storage; saved data is unavailable and changes will not be saved', error);
+    showToast('Saved data could not be loaded. Changes made now will not be saved; reload to try again.', {
+        type: 'error',
+        timeoutMs: 0
+    });
+}
+
+export function onStorageReady(callback) {
+    whenStorageReady()
+        .catch(reportInitError)
+        .then(callback);
+}
+
+export function isStorageReady() {
+    return isReady;
+}
+
+function getStoreCache(store) {
+    const entries = cache.get(store);
+    if (!entries) {
+        throw new Error(`Unknown storage store "${store}"`);
+    }
+    return entries;
+}
+
+export function readStored(store, key, fallback = null) {
+    const entries = getStoreCache(store);
+    if (!isReady) {
+        console.warn(`Storage read of ${store}/${key} before storage was ready`);
+    }
+    return entries.has(key) ? entries.get(key) : fallback;
+}
+
+// Reads a value that must be a plain object (maps keyed by system name). Anything
+// else is quarantined and an empty object returned in its place.
+export function readStoredObject(store, key) {
+    const value = readStored(store, key, null);
+    if (value === null || value === undefined) {
+        return {};
+    }
+    if (typeof value !== 'object' || Array.isArray(value)) {
+        quarantineStored(store, key, 'Expected an object');
+        return {};
+    }
+    return value;
+}
+
+export function listStoredKeys(store) {
+    return Array.from(getStoreCache(store).keys());
+}
+
+// The write helpers update the in-memory copy straight away and resolve to
+// whether the change reached the database. Most callers fire and forget; those
+// that report success to the user must check the result.
+function isWriteBlocked(action) {
+    if (initError) {
+        console.warn(`Skipped ${action}: storage failed to initialize`);
+        return true;
+    }
+    return false;
+}
+
+export async function writeStored(store, key, value) {
+    getStoreCache(store).set(key, value);
+    if (isWriteBlocked(`write of ${store}/${key}`)) {
+        return false;
+    }
+    try {
+        const db = await openDatabase();
+        await db.put(store, value, [activeWorkspaceId, key]);
+        return true;
+    } catch (error) {
+        console.warn(`Failed to persist ${store}/${key}`, error);
+        return false;
+    }
+}
+
+export async function removeStored(store, key) {
+    getStoreCache(store).delete(key);
+    if (isWriteBlocked(`removal of ${store}/${key}`)) {
+        return false;
+    }
+    try {
+        const db = await openDatabase();
+        await db.delete(store, [activeWorkspaceId, key]);
+        return true;
+    } catch (error) {
+        console.warn(`Failed to remove ${store}/${key}`, error);
+        return false;
+    }
+}
+
+export async function clearStore(store) {
+    getStoreCache(store).clear();
+    if (isWriteBlocked(`clear of ${store}`)) {
+        return false;
+    }
+    try {
+        const db = await openDatabase();
+        await db.delete(store, workspaceKeyRange(activeWorkspaceId));
+        return true;
+    } catch (error) {
+        console.warn(`Failed to clear ${store}`, error);
+        return false;
+    }
+}
+
+// Sets an unreadable value aside so the caller can start fresh without losing it.
+export async function quarantineStored(store, key, reason) {
+    const entries = getStoreCache(store);
+    if (!entries.has(key)) {
+        return;
+    }
+    const value = entries.get(key);
+    entries.delete(key);
+    console.warn(`Quarantined ${store}/${key}: ${reason}`);
+    if (isWriteBlocked(`quarantine of ${store}/${key}`)) {
+        return;
+    }
+    try {
+        const db = await openDatabase();
+        const tx = db.transaction([store, QUARANTINE_STORE], 'readwrite');
+        tx.objectStore(QUARANTINE_STORE).add({
+            workspace: activeWorkspaceId,
+            store,
+            key,
+            value,
+            source: 'indexedDB',
+            reason,
+            quarantinedAt: new Date().toISOString()
+        });
+        tx.objectStore(store).delete([activeWorkspaceId, key]);
+        await tx.done;
+    } catch (error) {
+        console.warn(`Failed to quarantine ${store}/${key}`, error);
+    }
+    notifyQuarantined(1);
+}
+
+export function getActiveWorkspaceId() {
+    return activeWorkspaceId;
+}
+
+export function listWorkspaces() {
+    return workspaces.map((workspace) => ({ ...workspace }));
+}
+
+function assertWritable() {
+    if (initError) {
+        throw new Error('Storage failed to initialize; changes cannot be saved');
+    }
+}
+
+async function saveWorkspaceRegistry() {
+    assertWritable();
+    const db = await openDatabase();
+    await db.put(META_STORE, workspaces, WORKSPACES_META_KEY);
+}
+
+export async function createWorkspace(name) {
+    const trimmed = (name || '').toString().trim();
+    if (!trimmed) {
+        throw new Error('Workspace name is required');
+    }
+    const id = `ws-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+    const workspace = createWorkspaceRecord(id, trimmed);
+    workspaces = [...workspaces, workspace];
+    await saveWorkspaceRegistry();
+    return { ...workspace };
+}
+
+export async function renameWorkspace(id, name) {
+    const trimmed = (name || '').toString().trim();
+    if (!trimmed) {
+        throw new Error('Workspace name is required');
+    }
+    workspaces = workspaces.map((workspace) => (workspace.id === id ? { ...workspace, name: trimmed } : workspace));
+    await saveWorkspaceRegistry();
+}
+
+// Removes the workspace and its module data. Versions are removed by db.js.
+export async function deleteWorkspace(id) {
+    if (id === activeWorkspaceId) {
+        throw new Error('Switch to another workspace before deleting this one');
+    }
+    assertWritable();
+    workspaces = workspaces.filter((workspace) => workspace.id !== id);
+    const db = await openDatabase();
+    const tx = db.transaction([...KEY_VALUE_STORES, META_STORE], 'readwrite');
+    KEY_VALUE_STORES.forEach((name) => {
+        tx.objectStore(name).delete(workspaceKeyRange(id));
+    });
+    tx.objectStore(META_STORE).put(workspaces, WORKSPACES_META_KEY);
+    await tx.done;
+}
+
+// Takes effect on the next page load, when the caches are hydrated again.
+export async function setActiveWorkspace(id) {
+    if (!workspaces.some((workspace) => workspace.id === id)) {
+        throw new Error(`Unknown workspace "${id}"`);
+    }
+    assertWritable();
+    const db = await openDatabase();
+    await db.put(META_STORE, id, ACTIVE_WORKSPACE_META_KEY);
+}
+
+// Reads another workspace's entries for a store without touching the active cache.
+export async function readWorkspaceEntries(workspaceId, store) {
+    getStoreCache(store);
+    if (workspaceId === activeWorkspaceId) {
+        return new Map(cache.get(store));
+    }
+    const db = await openDatabase();
+    return readWorkspaceStore(db, workspaceId, store);
+}
+
+export async function listQuarantined() {
+    const db = await openDatabase();
+    return db.getAll(QUARANTINE_STORE);
+}
+
+function notifyQuarantined(count) {
+    showToast(
+        `${count} stored entr${count === 1 ? 'y' : 'ies'} could not be read and ${count === 1 ? 'was' : 'were'} set aside.`,
+        { type: 'error', timeoutMs: 8000 }
+    );
+}
+
+whenStorageReady().catch(reportInitError);
@@ -1,12 +1,64 @@
-import { getRowExpiry, attachCountdown, clearCountdowns, TIMER_TAGS } from './bookmarkTimers.js';
+import { getRowExpiry, attachCountdown, parseBookmarkExpiry, TIMER_TAGS } from './bookmarkTimers.js';
+import { STORES, isStorageReady, readStored, writeStored } from './storage.js';
+import { LABEL_COLUMNS, getLabelColumnValue } from './bookmarkLabel.js';
+import { formatTimestamp } from './eveTime.js';
+import { showToast } from './toast.js';
+import { EXPORT_FORMATS, copyExportText, downloadExportText, exceedsDiscordLimit, formatRemaining, serializeTableRows } from './tableExport.js';
+import { matchesTableQuery, parseTableQuery, queryDependsOnTime } from './tableQuery.js';
 
-const EXCLUDED_COLUMNS = ["Jumps", "CON", "REG", "Date"];
+const DEFAULT_HIDDEN_COLUMNS = ["Jumps", "CON", "REG", "Date", ...LABEL_COLUMNS];
 const REMAINING_COLUMN = 'Remaining';
+const ALWAYS_VISIBLE_COLUMNS = ['Label'];
+const TABLE_PREFERENCES_KEY = 'bookmarkTable';
+// Bumped when new columns ship so they start hidden for saved preferences too.
+const TABLE_PREFERENCES_REVISION = 1;
+const SORT_DIRECTIONS = ['asc', 'desc'];
+const QUERY_HASH_PARAM = 'q';
+const QUERY_INPUT_DELAY_MS = 200;
+const QUERY_REFRESH_MS = 30000;
+const ROW_HEIGHT_ESTIMATE = 35;
+const ROW_OVERSCAN = 12;
+const FALLBACK_MOUNTED_ROWS = 40;
+const GROUP_FIELDS = {
+    SOL: 'System',
+    REG: 'Region',
+    CON: 'Constellation',
+    Creator: 'Creator'
+};
 
 let cachedKeys = [];
 let cachedData = [];
 let cachedFilter = null;
 let highlightStatus = new Map();
+let tablePreferences = null;
+let activeQueryText = '';
+let activeQuery = parseTableQuery('');
+let queryRefreshHandle = null;
+let queryInputTimer = null;
+let collapsedGroups = new Set();
+// Selection is tracked by bookmark key so it survives re-sorting, filtering
+// and rows being unmounted while scrolled out of view.
+let selectedKeys = new Set();
+let selectionAnchorKey = null;
+
+// Only the rows inside the scroll viewport are mounted; spacer rows above and
+// below stand in for the rest so the scrollbar still reflects the full set.
+// `items` is the flattened display list: bookmark rows plus, when grouping,
+// one header item per group.
+const tableView = {
+    container: null,
+    table: null,
+    thead: null,
+    tbody: null,
+    topSpacer: null,
+    bottomSpacer: null,
+    sortedRows: [],
+    items: [],
+    visibleKeys: [],
+    mounted: new Map(),
+    rowHeight: ROW_HEIGHT_ESTIMATE,
+    frameHandle: null
+};
 
 function displayTable(keys, data, filterSystem = null) {
     cachedKeys = Array.isArray(keys) ? [...keys] : [];
@@ -18,13 +70,23 @@ function displayTable(keys, data, filterSystem = null) {
             cachedKeys.push(REMAINING_COLUMN);
         }
     }
+    LABEL_COLUMNS.forEach((key) => {
+        if (!cachedKeys.includes(key)) {
+            cachedKeys.push(key);
+        }
+    });
     cachedData = Array.isArray(data) ? data : [];
     cachedFilter = filterSystem;
+    pruneSelection();
     renderTable();
+    renderColumnChooser();
 
     if (typeof window.setSignatureBookmarkData === 'function') {
         window.setSignatureBookmarkData(cachedData);
     }
+    if (typeof window.updateChainHealth === 'function') {
+        window.updateChainHealth(cachedData);
+    }
 }
 
 function renderTable() {
@@ -33,94 +95,789 @@ function renderTable() {
         return;
     }
 
-    clearCountdowns(TIMER_TAGS.TABLE);
+    const now = Date.now();
+    const filteredData = cachedData.filter((row) => {
+        return (!cachedFilter || row['SOL'] === cachedFilter) && matchesTableQuery(row, activeQuery, now);
+    });
+    renderQueryStatus(filteredData.length);
+    renderSortControls();
+
+    renderGroupControls();
 
-    const filteredData = cachedFilter
-        ? cachedData.filter((row) => row['SOL'] === cachedFilter)
-        : cachedData;
-    const sortedData = sortRows(filteredData);
+    ensureTableShell(tableContainer);
+    tableView.sortedRows = sortRows(filteredData);
+    tableView.visibleKeys = getVisibleKeys();
+    const thead = buildHeaderRow();
+    tableView.table.replaceChild(thead, tableView.thead);
+    tableView.thead = thead;
+    [tableView.topSpacer, tableView.bottomSpacer].forEach((spacer) => {
+        spacer.firstChild.colSpan = Math.max(tableView.visibleKeys.length, 1);
+    });
+    layoutItems();
+    renderSelectionBar();
+}
+
+function layoutItems() {
+    unmountAllRows();
+    const { groupBy } = getTablePreferences();
+    tableView.items = groupBy
+        ? flattenGroups(groupRows(tableView.sortedRows, groupBy))
+        : tableView.sortedRows.map((row) => ({ type: 'row', row }));
+    renderVisibleRows();
+}
+
+// Groups keep the current sort order for their rows and are themselves
+// ordered by name, with bookmarks missing the field collected last.
+function groupRows(rows, field) {
+    const groups = new Map();
+    rows.forEach((row) => {
+        const key = (row[field] ?? '').toString().trim();
+        if (!groups.has(key)) {
+            groups.set(key, { field, key, rows: [] });
+        }
+        groups.get(key).rows.push(row);
+    });
+    return Array.from(groups.values()).sort((a, b) => {
+        if (!a.key || !b.key) {
+            return (a.key ? 0 : 1) - (b.key ? 0 : 1);
+        }
+        return a.key.localeCompare(b.key, undefined, { sensitivity: 'base', numeric: true });
+    });
+}
+
+function flattenGroups(groups) {
+    const items = [];
+    groups.forEach((group) => {
+        const collapsed = collapsedGroups.has(getGroupId(group));
+        items.push({ type: 'group', group, collapsed });
+        if (!collapsed) {
+            group.rows.forEach((row) => items.push({ type: 'row', row }));
+        }
+    });
+    return items;
+}
+
+function getGroupId(group) {
+    return `${group.field}:${group.key}`;
+}
+
+function toggleGroupCollapsed(group) {
+    const id = getGroupId(group);
+    if (!collapsedGroups.delete(id)) {
+        collapsedGroups.add(id);
+    }
+    layoutItems();
+}
+
+// The system a group header selects on the map: the group itself when
+// grouping by system, otherwise the one system all of its bookmarks share.
+function getGroupSystem(group) {
+    if (group.field === 'SOL') {
+        return group.key || null;
+    }
+    const systems = new Set(group.rows.map((row) => row['SOL']).filter(Boolean));
+    return systems.size === 1 ? Array.from(systems)[0] : null;
+}
+
+function getEarliestExpiry(rows) {
+    let earliest = null;
+    rows.forEach((row) => {
+        const info = getRowExpiry(row);
+        if (info.type === 'timestamp') {
+            if (!earliest || earliest.type !== 'timestamp' || info.timestamp < earliest.timestamp) {
+                earliest = info;
+            }
+        } else if (info.type === 'infinite' && !earliest) {
+            earliest = info;
+        }
+    });
+    return earliest || getRowExpiry(null);
+}
+
+function describeGroupStatus(rows) {
+    let matched = 0;
+    let stale = 0;
+    rows.forEach((row) => {
+        const status = highlightStatus.get(createBookmarkKey(row));
+        if (status === 'matched') {
+            matched += 1;
+        } else if (status === 'stale') {
+            stale += 1;
+        }
+    });
+    const parts = [];
+    if (matched) {
+        parts.push(`${matched} matched`);
+    }
+    if (stale) {
+        parts.push(`${stale} removable`);
+    }
+    return parts.join(', ');
+}
 
+// Rebuilds the table skeleton when it is missing, e.g. after the container was
+// cleared along with the database.
+function ensureTableShell(container) {
+    if (tableView.table && tableView.table.parentNode === container) {
+        return;
+    }
+    unmountAllRows();
     const table = document.createElement('table');
-    table.appendChild(buildHeaderRow());
-    table.appendChild(buildBody(sortedData));
+    table.className = 'bookmark-table';
+    const thead = document.createElement('thead');
+    const tbody = document.createElement('tbody');
+    const topSpacer = createSpacerRow();
+    const bottomSpacer = createSpacerRow();
+    tbody.append(topSpacer, bottomSpacer);
+    table.append(thead, tbody);
+    container.innerHTML = '';
+    container.appendChild(table);
+    Object.assign(tableView, { container, table, thead, tbody, topSpacer, bottomSpacer });
+}
+
+function createSpacerRow() {
+    const tr = document.createElement('tr');
+    tr.className = 'bookmark-table-spacer';
+    tr.setAttribute('aria-hidden', 'true');
+    tr.appendChild(document.createElement('td'));
+    return tr;
+}
+
+function getVisibleRange() {
+    const { container, topSpacer, items, rowHeight } = tableView;
+    const total = items.length;
+    const viewportHeight = container.clientHeight;
+    if (!viewportHeight) {
+        return { start: 0, end: Math.min(total, FALLBACK_MOUNTED_ROWS) };
+    }
+    const containerTop = container.getBoundingClientRect().top;
+    const bodyTop = topSpacer.getBoundingClientRect().top - containerTop + container.scrollTop;
+    const visibleCount = Math.ceil(viewportHeight / rowHeight);
+    const firstVisible = Math.min(
+        Math.floor(Math.max(0, container.scrollTop - bodyTop) / rowHeight),
+        Math.max(0, total - visibleCount)
+    );
+    return {
+        start: Math.max(0, firstVisible - ROW_OVERSCAN),
+        end: Math.min(total, firstVisible + visibleCount + ROW_OVERSCAN)
+    };
+}
+
+function renderVisibleRows() {
+    const { container, tbody, bottomSpacer } = tableView;
+    if (!container || !tbody || !tbody.isConnected) {
+        return;
+    }
+    const { start, end } = getVisibleRange();
+    tableView.mounted.forEach((entry, index) => {
+        if (index < start || index >= end) {
+            unmountRow(index);
+        }
+    });
+
+    // Mounted rows always form one contiguous run, so walking backwards and
+    // inserting before the previous row keeps the DOM in index order.
+    let anchor = bottomSpacer;
+    for (let index = end - 1; index >= start; index -= 1) {
+        const entry = tableView.mounted.get(index);
+        if (entry) {
+            anchor = entry.tr;
+            continue;
+        }
+        const tr = mountRow(index);
+        tbody.insertBefore(tr, anchor);
+        anchor = tr;
+    }
+
+    const sample = tableView.mounted.get(start)?.tr;
+    const measured = sample ? sample.offsetHeight : 0;
+    if (measured && Math.abs(measured - tableView.rowHeight) >= 1) {
+        tableView.rowHeight = measured;
+    }
+    tableView.topSpacer.style.height = `${start * tableView.rowHeight}px`;
+    tableView.bottomSpacer.style.height = `${(tableView.items.length - end) * tableView.rowHeight}px`;
+}
+
+function scheduleVisibleRows() {
+    if (tableView.frameHandle !== null) {
+        return;
+    }
+    tableView.frameHandle = requestAnimationFrame(() => {
+        tableView.frameHandle = null;
+        renderVisibleRows();
+    });
+}
+
+function mountRow(index) {
+    const item = tableView.items[index];
+    if (item.type === 'group') {
+        return mountGroupRow(index, item);
+    }
+    const { row } = item;
+    const tr = document.createElement('tr');
+    applyRowStatus(tr, row);
+    tr.addEventListener('click', (event) => handleRowClick(row, event));
+
+    let detachCountdown = null;
+    tableView.visibleKeys.forEach((key) => {
+        const td = document.createElement('td');
+        if (key === REMAINING_COLUMN) {
+            td.classList.add('bookmark-remaining');
+            detachCountdown = attachCountdown(td, getRowExpiry(row), {
+                tag: TIMER_TAGS.TABLE,
+                style: 'default'
+            });
+        } else if (key === 'Label') {
+            td.classList.add('bookmark-label-cell');
+            td.textContent = row[key] || '';
+            td.title = td.textContent;
+        } else if (key === 'Expiry') {
+            renderDateCell(td, row[key], getRowExpiry(row));
+            td.textContent = td.textContent || '—';
+        } else if (key === 'Date') {
+            renderDateCell(td, row[key], parseBookmarkExpiry(row[key]));
+        } else if (key === 'Destination') {
+            renderDestinationCell(td, getColumnValue(row, key));
+        } else {
+            td.textContent = getColumnValue(row, key) || '';
+        }
+        tr.appendChild(td);
+    });
+
+    tableView.mounted.set(index, { tr, item, detachCountdown });
+    return tr;
+}
+
+function mountGroupRow(index, item) {
+    const { group, collapsed } = item;
+    const tr = document.createElement('tr');
+    tr.className = 'bookmark-group-row';
+    const td = document.createElement('td');
+    td.colSpan = Math.max(tableView.visibleKeys.length, 1);
+
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'bookmark-group-toggle';
+    toggle.textContent = collapsed ? '▸' : '▾';
+    toggle.setAttribute('aria-expanded', collapsed ? 'false' : 'true');
+    toggle.setAttribute('aria-label', `${collapsed ? 'Expand' : 'Collapse'} ${group.key || 'ungrouped bookmarks'}`);
+    toggle.addEventListener('click', (event) => {
+        event.stopPropagation();
+        toggleGroupCollapsed(group);
+    });
+
+    const name = document.createElement('span');
+    name.className = 'bookmark-group-name';
+    name.textContent = group.key || `No ${GROUP_FIELDS[group.field].toLowerCase()}`;
+
+    const count = document.createElement('span');
+    count.className = 'bookmark-group-count';
+    count.textContent = `${group.rows.length} bookmark${group.rows.length === 1 ? '' : 's'}`;
+
+    const expiry = document.createElement('span');
+    expiry.className = 'bookmark-group-expiry';
+    expiry.textContent = 'Next expiry ';
+    const countdown = document.createElement('span');
+    const detachCountdown = attachCountdown(countdown, getEarliestExpiry(group.rows), {
+        tag: TIMER_TAGS.TABLE,
+        style: 'default'
+    });
+    expiry.appendChild(countdown);
+
+    const status = document.createElement('span');
+    status.className = 'bookmark-group-status';
+
+    td.append(toggle, name, count, expiry, status);
+    tr.appendChild(td);
+
+    const system = getGroupSystem(group);
+    tr.title = system ? `Select ${system} on the map` : 'Expand or collapse this group';
+    tr.addEventListener('click', () => {
+        if (system) {
+            selectSystemOnMap(system);
+        } else {
+            toggleGroupCollapsed(group);
+        }
+    });
+
+    const entry = { tr, item, detachCountdown, statusElement: status };
+    applyGroupStatus(entry);
+    tableView.mounted.set(index, entry);
+    return tr;
+}
+
+function applyGroupStatus(entry) {
+    entry.statusElement.textContent = describeGroupStatus(entry.item.group.rows);
+}
+
+// Parsed dates follow the EVE/local display toggle; the raw text stays in the
+// title so the original value is never lost.
+function renderDateCell(td, rawValue, info) {
+    if (info.type === 'timestamp') {
+        td.textContent = formatTimestamp(info.timestamp);
+        td.title = rawValue || '';
+    } else {
+        td.textContent = rawValue || '';
+    }
+}
+
+function getColumnValue(row, key) {
+    return LABEL_COLUMNS.includes(key) ? getLabelColumnValue(row, key) : row[key];
+}
+
+function renderDestinationCell(td, destination) {
+    if (!destination || /^\?+$/.test(destination)) {
+        td.textContent = destination || '';
+        return;
+    }
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'bookmark-destination-link';
+    button.textContent = destination;
+    button.title = `Select ${destination} on the map`;
+    button.addEventListener('click', () => selectSystemOnMap(destination));
+    td.appendChild(button);
+}
+
+function selectSystemOnMap(systemName) {
+    const applySelection = window.__bookmarkViewerApplySystemSelection;
+    const selected = typeof applySelection === 'function' && applySelection(systemName) === true;
+    if (!selected) {
+        showToast(`Could not select ${systemName} on the map.`, { type: 'error' });
+    }
+}
+
+function unmountRow(index) {
+    const entry = tableView.mounted.get(index);
+    if (!entry) {
+        return;
+    }
+    if (entry.detachCountdown) {
+        entry.detachCountdown();
+    }
+    entry.tr.remove();
+    tableView.mounted.delete(index);
+}
+
+function unmountAllRows() {
+    Array.from(tableView.mounted.keys()).forEach(unmountRow);
+}
+
+function applyRowStatus(tr, row) {
+    const label = (row['Label'] || '').toString();
+    const status = highlightStatus.get(createBookmarkKey(row));
+    tr.classList.toggle('highlight', label.startsWith('-'));
+    tr.classList.toggle('bookmark-matched', status === 'matched');
+    tr.classList.toggle('bookmark-stale', status === 'stale');
+    const selected = selectedKeys.has(createBookmarkKey(row));
+    tr.classList.toggle('bookmark-selected', selected);
+    tr.setAttribute('aria-selected', selected ? 'true' : 'false');
+}
+
+// Click toggles a row; shift-click selects every row between the last
+// clicked row and this one in the current display order.
+function handleRowClick(row, event) {
+    if (event.target && typeof event.target.closest === 'function' && event.target.closest('button, a, input')) {
+        return;
+    }
+    const key = createBookmarkKey(row);
+    const rows = tableView.items.filter((item) => item.type === 'row').map((item) => item.row);
+    const anchorIndex = selectionAnchorKey ? rows.findIndex((entry) => createBookmarkKey(entry) === selectionAnchorKey) : -1;
+    if (event.shiftKey && anchorIndex >= 0) {
+        const targetIndex = rows.indexOf(row);
+        const from = Math.min(anchorIndex, targetIndex);
+        const to = Math.max(anchorIndex, targetIndex);
+        rows.slice(from, to + 1).forEach((entry) => selectedKeys.add(createBookmarkKey(entry)));
+        window.getSelection?.()?.removeAllRanges();
+    } else {
+        if (!selectedKeys.delete(key)) {
+            selectedKeys.add(key);
+        }
+        selectionAnchorKey = key;
+    }
+    refreshSelection();
+}
+
+function selectAllRows() {
+    tableView.sortedRows.forEach((row) => selectedKeys.add(createBookmarkKey(row)));
+    refreshSelection();
+}
+
+function clearSelection() {
+    selectedKeys = new Set();
+    selectionAnchorKey = null;
+    if (typeof window.setMapSystemHighlight === 'function') {
+        window.setMapSystemHighlight([]);
+    }
+    refreshSelection();
+}
+
+function pruneSelection() {
+    if (!selectedKeys.size) {
+        return;
+    }
+    const available = new Set(cachedData.map(createBookmarkKey));
+    selectedKeys = new Set(Array.from(selectedKeys).filter((key) => available.has(key)));
+}
+
+function refreshSelection() {
+    tableView.mounted.forEach((entry) => {
+        if (entry.item.type === 'row') {
+            applyRowStatus(entry.tr, entry.item.row);
+        }
+    });
+    renderSelectionBar();
+}
+
+// Only selected rows that still match the current filter take part in bulk
+// actions, in the order they are displayed.
+function getSelectedRows() {
+    return tableView.sortedRows.filter((row) => selectedKeys.has(createBookmarkKey(row)));
+}
+
+function renderSelectionBar() {
+    const bar = document.getElementById('bookmarkSelectionBar');
+    const count = document.getElementById('bookmarkSelectionCount');
+    if (!bar || !count) {
+        return;
+    }
+    const selectedCount = getSelectedRows().length;
+    const hiddenCount = selectedKeys.size - selectedCount;
+    bar.hidden = selectedKeys.size === 0;
+    count.textContent = `${selectedCount} selected${hiddenCount > 0 ? ` (${hiddenCount} hidden by the filter)` : ''}`;
+}
+
+async function copySelection(buildText, description) {
+    const rows = getSelectedRows();
+    if (!rows.length) {
+        showToast('Select bookmarks in the table first.', { type: 'error' });
+        return;
+    }
+    const copied = await copyExportText(buildText(rows));
+    if (copied) {
+        showToast(`Copied ${description(rows.length)}.`);
+    } else {
+        showToast('Unable to access the clipboard.', { type: 'error' });
+    }
+}
+
+function buildLabelList(rows) {
+    return rows.map((row) => (row['Label'] || '').toString()).filter(Boolean).join('\n');
+}
+
+// One section per system so the list can be worked through in-game system
+// by system.
+function buildDeleteChecklist(rows) {
+    const bySystem = new Map();
+    rows.forEach((row) => {
+        const system = (row['SOL'] || 'Unknown system').toString();
+        if (!bySystem.has(system)) {
+            bySystem.set(system, []);
+        }
+        bySystem.get(system).push(row);
+    });
+    const lines = [`Delete these bookmarks (${rows.length}):`];
+    bySystem.forEach((systemRows, system) => {
+        lines.push('', `${system}:`);
+        systemRows.forEach((row) => {
+            const expiry = row['Expiry'] ? ` (expires ${row['Expiry']})` : '';
+            lines.push(`- [ ] ${row['Label'] || ''}${expiry}`);
+        });
+    });
+    return lines.join('\n');
+}
+
+function exportSelection() {
+    const rows = getSelectedRows();
+    if (!rows.length) {
+        showToast('Select bookmarks in the table first.', { type: 'error' });
+        return;
+    }
+    const format = getExportFormat();
+    downloadExportText(format, serializeRows(format, rows), 'bookmarks-selection');
+}
+
+function getExportFormat() {
+    const select = document.getElementById('bookmarkExportFormat');
+    return select && Object.hasOwn(EXPORT_FORMATS, select.value) ? select.value : 'csv';
+}
+
+// Rows exactly as displayed: filtered, sorted and, when grouped, in group
+// order without the rows of collapsed groups.
+function getDisplayedRows() {
+    return tableView.items.filter((item) => item.type === 'row').map((item) => item.row);
+}
+
+function serializeRows(format, rows) {
+    const now = Date.now();
+    return serializeTableRows(format, {
+        keys: tableView.visibleKeys,
+        rows,
+        getValue: (row, key) => (key === REMAINING_COLUMN ? formatRemaining(row, now) : getColumnValue(row, key))
+    });
+}
+
+async function exportTableView(destination) {
+    const rows = getDisplayedRows();
+    if (!rows.length) {
+        showToast('There are no bookmarks in the current view to export.', { type: 'error' });
+        return;
+    }
+    const format = getExportFormat();
+    const text = serializeRows(format, rows);
+    if (destination === 'download') {
+        downloadExportText(format, text, 'bookmarks');
+        return;
+    }
+    if (!(await copyExportText(text))) {
+        showToast('Unable to access the clipboard.', { type: 'error' });
+        return;
+    }
+    const { label } = EXPORT_FORMATS[format];
+    if (format === 'discord' && exceedsDiscordLimit(text)) {
+        showToast(`Copied ${rows.length} bookmarks as ${label}, but it is over Discord's 2000 character limit.`, { type: 'error' });
+        return;
+    }
+    showToast(`Copied ${rows.length} bookmark${rows.length === 1 ? '' : 's'} as ${label}.`);
+}
+
+function showSelectionOnMap() {
+    const rows = getSelectedRows();
+    if (typeof window.setMapSystemHighlight !== 'function' || !rows.length) {
+        return;
+    }
+    const systems = new Set();
+    rows.forEach((row) => {
+        if (row['SOL']) {
+            systems.add(row['SOL']);
+        }
+        const destination = getLabelColumnValue(row, 'Destination');
+        if (destination && !/^\?+$/.test(destination)) {
+            systems.add(destination);
+        }
+    });
+    window.setMapSystemHighlight(systems);
+    showToast(`Highlighted ${systems.size} system${systems.size === 1 ? '' : 's'} on the map.`);
+}
+
+function getTablePreferences() {
+    if (tablePreferences) {
+        return tablePreferences;
+    }
+    const defaults = { hiddenColumns: [...DEFAULT_HIDDEN_COLUMNS], sort: [], groupBy: null };
+    if (!isStorageReady()) {
+        return defaults;
+    }
+    const stored = readStored(STORES.PREFERENCES, TABLE_PREFERENCES_KEY, null);
+    let hiddenColumns = defaults.hiddenColumns;
+    if (Array.isArray(stored?.hiddenColumns)) {
+        hiddenColumns = stored.hiddenColumns.filter((key) => typeof key === 'string' && !ALWAYS_VISIBLE_COLUMNS.includes(key));
+    }
+    tablePreferences = {
+        hiddenColumns,
+        sort: Array.isArray(stored?.sort)
+            ? stored.sort.filter((entry) => typeof entry?.key === 'string' && SORT_DIRECTIONS.includes(entry.direction))
+            : defaults.sort,
+        groupBy: Object.hasOwn(GROUP_FIELDS, stored?.groupBy ?? '') ? stored.groupBy : defaults.groupBy
+    };
+    return tablePreferences;
+}
 
-    tableContainer.innerHTML = '';
-    tableContainer.appendChild(table);
+function saveTablePreferences(preferences) {
+    tablePreferences = preferences;
+    writeStored(STORES.PREFERENCES, TABLE_PREFERENCES_KEY, {
+        revision: TABLE_PREFERENCES_REVISION,
+        hiddenColumns: [...preferences.hiddenColumns],
+        sort: preferences.sort.map((entry) => ({ ...entry })),
+        groupBy: preferences.groupBy || null
+    });
+}
+
+function getVisibleKeys() {
+    const { hiddenColumns } = getTablePreferences();
+    return cachedKeys.filter((key) => !hiddenColumns.includes(key));
 }
 
 function buildHeaderRow() {
     const thead = document.createElement('thead');
     const headerRow = document.createElement('tr');
+    const { sort } = getTablePreferences();
 
-    cachedKeys.forEach((key) => {
-        if (!EXCLUDED_COLUMNS.includes(key)) {
-            const th = document.createElement('th');
-            th.textContent = key;
-            headerRow.appendChild(th);
+    getVisibleKeys().forEach((key) => {
+        const th = document.createElement('th');
+        const sortIndex = sort.findIndex((entry) => entry.key === key);
+        const sortEntry = sortIndex >= 0 ? sort[sortIndex] : null;
+        if (sortEntry) {
+            th.setAttribute('aria-sort', sortEntry.direction === 'asc' ? 'ascending' : 'descending');
         }
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'table-sort-button';
+        button.title = 'Click to sort, shift-click to add a secondary sort';
+        button.textContent = key;
+        if (sortEntry) {
+            const indicator = document.createElement('span');
+            indicator.className = 'table-sort-indicator';
+            indicator.textContent = `${sortEntry.direction === 'asc' ? '▲' : '▼'}${sort.length > 1 ? sortIndex + 1 : ''}`;
+            button.appendChild(indicator);
+        }
+        button.addEventListener('click', (event) => toggleColumnSort(key, event.shiftKey));
+        th.appendChild(button);
+        headerRow.appendChild(th);
     });
     thead.appendChild(headerRow);
     return thead;
 }
 
-function buildBody(rows) {
-    const tbody = document.createElement('tbody');
-    rows.forEach((row) => {
-        const tr = document.createElement('tr');
-        const label = (row['Label'] || '').toString();
-        if (label.startsWith('-')) {
-            tr.classList.add('highlight');
+// A plain click sorts by that column alone (ascending, descending, then back
+// to the default order); shift-click adds or cycles it as a further key.
+function toggleColumnSort(key, additive) {
+    const preferences = getTablePreferences();
+    const sort = preferences.sort.map((entry) => ({ ...entry }));
+    const existing = sort.find((entry) => entry.key === key);
+    let nextSort;
+    if (additive) {
+        if (!existing) {
+            nextSort = [...sort, { key, direction: 'asc' }];
+        } else if (existing.direction === 'asc') {
+            existing.direction = 'desc';
+            nextSort = sort;
+        } else {
+            nextSort = sort.filter((entry) => entry.key !== key);
         }
+    } else if (existing && sort.length === 1) {
+        nextSort = existing.direction === 'asc' ? [{ key, direction: 'desc' }] : [];
+    } else {
+        nextSort = [{ key, direction: 'asc' }];
+    }
+    saveTablePreferences({ ...preferences, sort: nextSort });
+    renderTable();
+}
 
-        const status = highlightStatus.get(createBookmarkKey(row));
-        if (status === 'matched') {
-            tr.classList.add('bookmark-matched');
-        } else if (status === 'stale') {
-            tr.classList.add('bookmark-stale');
-        }
-
-        cachedKeys.forEach((key) => {
-            if (!EXCLUDED_COLUMNS.includes(key)) {
-                const td = document.createElement('td');
-                if (key === REMAINING_COLUMN) {
-                    td.classList.add('bookmark-remaining');
-                    const expiryInfo = getRowExpiry(row);
-                    attachCountdown(td, expiryInfo, {
-                        tag: TIMER_TAGS.TABLE,
-                        style: 'default'
-                    });
-                } else if (key === 'Label') {
-                    td.classList.add('bookmark-label-cell');
-                    td.textContent = row[key] || '';
-                } else if (key === 'Expiry') {
-                    td.textContent = row[key] ? row[key] : '—';
-                } else {
-                    td.textContent = row[key] || '';
-                }
-                tr.appendChild(td);
-            }
-        });
-        tbody.appendChild(tr);
+function setColumnHidden(key, hidden) {
+    const preferences = getTablePreferences();
+    const hiddenColumns = preferences.hiddenColumns.filter((entry) => entry !== key);
+    if (hidden) {
+        hiddenColumns.push(key);
+    }
+    saveTablePreferences({ ...preferences, hiddenColumns });
+    renderTable();
+}
+
+function renderColumnChooser() {
+    const container = document.getElementById('bookmarkColumnOptions');
+    if (!container) {
+        return;
+    }
+    const { hiddenColumns } = getTablePreferences();
+    container.innerHTML = '';
+    cachedKeys.forEach((key) => {
+        const label = document.createElement('label');
+        label.className = 'bookmark-column-option';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = !hiddenColumns.includes(key);
+        checkbox.disabled = ALWAYS_VISIBLE_COLUMNS.includes(key);
+        checkbox.addEventListener('change', () => setColumnHidden(key, !checkbox.checked));
+        const text = document.createElement('span');
+        text.textContent = key;
+        label.append(checkbox, text);
+        container.appendChild(label);
     });
-    return tbody;
+}
+
+function renderGroupControls() {
+    const select = document.getElementById('bookmarkGroupSelect');
+    if (select) {
+        select.value = getTablePreferences().groupBy || '';
+    }
+}
+
+function setTableGrouping(field) {
+    const groupBy = Object.hasOwn(GROUP_FIELDS, field) ? field : null;
+    saveTablePreferences({ ...getTablePreferences(), groupBy });
+    renderLoadedTable();
+}
+
+function renderSortControls() {
+    const summary = document.getElementById('bookmarkSortSummary');
+    const resetButton = document.getElementById('bookmarkSortResetButton');
+    const { sort } = getTablePreferences();
+    if (summary) {
+        summary.textContent = sort.length
+            ? `Sorted by ${sort.map((entry) => `${entry.key} ${entry.direction === 'asc' ? '▲' : '▼'}`).join(', ')}`
+            : '';
+    }
+    if (resetButton) {
+        resetButton.hidden = !sort.length;
+    }
 }
 
 function sortRows(data) {
     const rows = [...data];
+    const { sort } = getTablePreferences();
     return rows.sort((a, b) => {
-        const rawA = (a['Label'] || '').toString().trimStart();
-        const rawB = (b['Label'] || '').toString().trimStart();
+        for (const { key, direction } of sort) {
+            const result = compareColumn(a, b, key, direction);
+            if (result !== 0) {
+                return result;
+            }
+        }
+        return compareLabels(a, b);
+    });
+}
+
+function compareLabels(a, b) {
+    const rawA = (a['Label'] || '').toString().trimStart();
+    const rawB = (b['Label'] || '').toString().trimStart();
 
-        const catA = sortCategory(rawA);
-        const catB = sortCategory(rawB);
-        if (catA !== catB) {
-            return catA - catB;
+    const catA = sortCategory(rawA);
+    const catB = sortCategory(rawB);
+    if (catA !== catB) {
+        return catA - catB;
+    }
+
+    const la = normalizeLabel(rawA);
+    const lb = normalizeLabel(rawB);
+    return la.localeCompare(lb, undefined, { sensitivity: 'base' });
+}
+
+function getSortValue(row, key) {
+    if (key === REMAINING_COLUMN || key === 'Expiry') {
+        const info = getRowExpiry(row);
+        if (info.type === 'infinite') {
+            return Number.POSITIVE_INFINITY;
         }
+        return info.type === 'timestamp' ? info.timestamp : null;
+    }
+    if (key === 'Date') {
+        const info = parseBookmarkExpiry(row['Date']);
+        return info.type === 'timestamp' ? info.timestamp : null;
+    }
+    if (key === 'Jumps') {
+        const jumps = Number.parseInt(row['Jumps'], 10);
+        return Number.isFinite(jumps) ? jumps : null;
+    }
+    const value = (getColumnValue(row, key) ?? '').toString().trim();
+    return value || null;
+}
 
-        const la = normalizeLabel(rawA);
-        const lb = normalizeLabel(rawB);
-        return la.localeCompare(lb, undefined, { sensitivity: 'base' });
-    });
+// Empty values stay at the bottom in either direction.
+function compareColumn(a, b, key, direction) {
+    const sign = direction === 'desc' ? -1 : 1;
+    if (key === 'Label') {
+        return sign * compareLabels(a, b);
+    }
+    const valueA = getSortValue(a, key);
+    const valueB = getSortValue(b, key);
+    if (valueA === null || valueB === null) {
+        return (valueA === null ? 1 : 0) - (valueB === null ? 1 : 0);
+    }
+    if (typeof valueA === 'number' && typeof valueB === 'number') {
+        return sign * (valueA === valueB ? 0 : (valueA < valueB ? -1 : 1));
+    }
+    return sign * valueA.toString().localeCompare(valueB.toString(), undefined, { sensitivity: 'base', numeric: true });
 }
 
 function sortCategory(label) {
@@ -144,9 +901,19 @@ function updateBookmarkSignatureMatches(statusMap) {
         });
     }
 
-    if (cachedKeys.length > 0 && cachedData.length > 0) {
-        renderTable();
+    // Sorting and filtering never depend on match status, so only the
+    // mounted rows and group headers need refreshing.
+    if (tableView.table && !tableView.table.isConnected) {
+        unmountAllRows();
+        return;
     }
+    tableView.mounted.forEach((entry) => {
+        if (entry.item.type === 'group') {
+            applyGroupStatus(entry);
+        } else {
+            applyRowStatus(entry.tr, entry.item.row);
+        }
+    });
 }
 
 function createBookmarkKey(row) {
@@ -160,6 +927,136 @@ function createBookmarkKey(row) {
     return parts.join('|');
 }
 
+function renderQueryStatus(shownCount) {
+    const status = document.getElementById('bookmarkQueryStatus');
+    if (!status) {
+        return;
+    }
+    status.classList.toggle('error', activeQuery.errors.length > 0);
+    if (activeQuery.errors.length) {
+        status.textContent = activeQuery.errors.join('; ');
+        return;
+    }
+    if (activeQuery.isEmpty && !cachedFilter) {
+        status.textContent = '';
+        return;
+    }
+    const scope = cachedFilter ? ` in ${cachedFilter}` : '';
+    status.textContent = `Showing ${shownCount} of ${cachedData.length}${scope}`;
+}
+
+function readQueryFromHash() {
+    const params = new URLSearchParams(window.location.hash.replace(/^#/, ''));
+    return params.get(QUERY_HASH_PARAM) || '';
+}
+
+function writeQueryToHash(text) {
+    const params = new URLSearchParams(window.location.hash.replace(/^#/, ''));
+    if (text) {
+        params.set(QUERY_HASH_PARAM, text);
+    } else {
+        params.delete(QUERY_HASH_PARAM);
+    }
+    const hash = params.toString();
+    const url = `${window.location.pathname}${window.location.search}${hash ? `#${hash}` : ''}`;
+    window.history.replaceState(window.history.state, '', url);
+}
+
+function setTableQuery(text, { updateHash = true } = {}) {
+    const normalized = (text || '').toString().trim();
+    if (normalized === activeQueryText) {
+        return;
+    }
+    activeQueryText = normalized;
+    activeQuery = parseTableQuery(normalized);
+    if (updateHash) {
+        writeQueryToHash(normalized);
+    }
+
+    // Relative terms such as expires<2h need re-evaluating as time passes.
+    if (queryRefreshHandle) {
+        clearInterval(queryRefreshHandle);
+        queryRefreshHandle = null;
+    }
+    if (queryDependsOnTime(activeQuery)) {
+        queryRefreshHandle = setInterval(renderLoadedTable, QUERY_REFRESH_MS);
+    }
+    renderLoadedTable();
+}
+
+function renderLoadedTable() {
+    if (cachedKeys.length > 0) {
+        renderTable();
+    }
+}
+
+function initTableControls() {
+    const tableContainer = document.getElementById('tableContainer');
+    if (tableContainer) {
+        tableContainer.addEventListener('scroll', scheduleVisibleRows, { passive: true });
+        if (typeof ResizeObserver === 'function') {
+            new ResizeObserver(scheduleVisibleRows).observe(tableContainer);
+        } else {
+            window.addEventListener('resize', scheduleVisibleRows);
+        }
+    }
+
+    const queryInput = document.getElementById('bookmarkQueryInput');
+    if (queryInput) {
+        const initialQuery = readQueryFromHash();
+        queryInput.value = initialQuery;
+        setTableQuery(initialQuery, { updateHash: false });
+        queryInput.addEventListener('input', () => {
+            if (queryInputTimer) {
+                clearTimeout(queryInputTimer);
+            }
+            queryInputTimer = setTimeout(() => {
+                queryInputTimer = null;
+                setTableQuery(queryInput.value);
+            }, QUERY_INPUT_DELAY_MS);
+        });
+        window.addEventListener('hashchange', () => {
+            const hashQuery = readQueryFromHash();
+            queryInput.value = hashQuery;
+            setTableQuery(hashQuery, { updateHash: false });
+        });
+    }
+
+    const groupSelect = document.getElementById('bookmarkGroupSelect');
+    if (groupSelect) {
+        groupSelect.addEventListener('change', () => setTableGrouping(groupSelect.value));
+    }
+
+    const selectionActions = {
+        bookmarkSelectAllButton: selectAllRows,
+        bookmarkClearSelectionButton: clearSelection,
+        bookmarkCopyLabelsButton: () => copySelection(buildLabelList, (count) => `${count} label${count === 1 ? '' : 's'}`),
+        bookmarkCopyChecklistButton: () => copySelection(buildDeleteChecklist, (count) => `a delete checklist for ${count} bookmark${count === 1 ? '' : 's'}`),
+        bookmarkExportSelectionButton: exportSelection,
+        bookmarkShowOnMapButton: showSelectionOnMap,
+        bookmarkExportCopyButton: () => exportTableView('clipboard'),
+        bookmarkExportDownloadButton: () => exportTableView('download')
+    };
+    Object.entries(selectionActions).forEach(([id, action]) => {
+        const button = document.getElementById(id);
+        if (button) {
+            button.addEventListener('click', action);
+        }
+    });
+
+    window.addEventListener('timeDisplayModeChanged', renderLoadedTable);
+
+    const resetButton = document.getElementById('bookmarkSortResetButton');
+    if (resetButton) {
+        resetButton.addEventListener('click', () => {
+            saveTablePreferences({ ...getTablePreferences(), sort: [] });
+            renderTable();
+        });
+    }
+}
+
+document.addEventListener('DOMContentLoaded', initTableControls);
+
 window.displayTable = displayTable;
 window.updateBookmarkSignatureMatches = updateBookmarkSignatureMatches;
 window.createBookmarkKey = createBookmarkKey;
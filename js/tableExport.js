@@ -0,0 +1,121 @@
+import { BOOKMARK_KEYS, SOURCE_KEY } from './bookmarkColumns.js';
+import { formatDuration, getRowExpiry } from './bookmarkTimers.js';
+
+const DISCORD_MESSAGE_LIMIT = 2000;
+// Columns our own parser needs to accept a TSV export back as bookmarks.
+const TSV_REQUIRED_KEYS = ['Label', 'Type', 'SOL'];
+
+export const EXPORT_FORMATS = {
+    csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+    tsv: { label: 'TSV', extension: 'tsv', mimeType: 'text/tab-separated-values' },
+    markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown' },
+    discord: { label: 'Discord', extension: 'txt', mimeType: 'text/plain' }
+};
+
+export function formatRemaining(row, now = Date.now()) {
+    const info = getRowExpiry(row);
+    if (info.type === 'infinite') {
+        return 'Never';
+    }
+    if (info.type !== 'timestamp') {
+        return '';
+    }
+    const remaining = info.timestamp - now;
+    return remaining > 0 ? formatDuration(remaining, 'compact') : 'Expired';
+}
+
+function toText(value) {
+    return (value ?? '').toString();
+}
+
+function escapeCsvValue(value) {
+    const text = toText(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function buildCsv(keys, rows, getValue) {
+    const lines = [keys.map(escapeCsvValue).join(',')];
+    rows.forEach((row) => lines.push(keys.map((key) => escapeCsvValue(getValue(row, key))).join(',')));
+    return `${lines.join('\r\n')}\r\n`;
+}
+
+// Only stored bookmark columns go into TSV so the file re-imports cleanly;
+// computed columns are rebuilt from the label and expiry on import.
+function buildTsv(keys, rows, getValue) {
+    const storedKeys = [...BOOKMARK_KEYS, SOURCE_KEY];
+    const tsvKeys = storedKeys.filter((key) => keys.includes(key) || TSV_REQUIRED_KEYS.includes(key));
+    const clean = (value) => toText(value).replace(/[\t\r\n]+/g, ' ');
+    const lines = [tsvKeys.join('\t')];
+    rows.forEach((row) => lines.push(tsvKeys.map((key) => clean(getValue(row, key))).join('\t')));
+    return `${lines.join('\n')}\n`;
+}
+
+function buildMarkdown(keys, rows, getValue) {
+    const clean = (value) => toText(value).replace(/\|/g, '\\|').replace(/[\r\n]+/g, ' ');
+    const lines = [
+        `| ${keys.map(clean).join(' | ')} |`,
+        `| ${keys.map(() => '---').join(' | ')} |`
+    ];
+    rows.forEach((row) => lines.push(`| ${keys.map((key) => clean(getValue(row, key))).join(' | ')} |`));
+    return `${lines.join('\n')}\n`;
+}
+
+// Discord renders code blocks in a monospace font, so columns are padded to
+// line up.
+function buildDiscord(keys, rows, getValue) {
+    const clean = (value) => toText(value).replace(/`/g, "'").replace(/[\r\n]+/g, ' ');
+    const cells = rows.map((row) => keys.map((key) => clean(getValue(row, key))));
+    const widths = keys.map((key, index) => Math.max(key.length, ...cells.map((line) => line[index].length)));
+    const formatLine = (values) => values.map((value, index) => value.padEnd(widths[index])).join('  ').trimEnd();
+    const lines = [formatLine(keys), ...cells.map(formatLine)];
+    return `\`\`\`\n${lines.join('\n')}\n\`\`\``;
+}
+
+const SERIALIZERS = {
+    csv: buildCsv,
+    tsv: buildTsv,
+    markdown: buildMarkdown,
+    discord: buildDiscord
+};
+
+/**
+ * Serializes table rows in one of EXPORT_FORMATS. `getValue(row, key)` supplies
+ * each cell, so callers decide how computed columns are rendered.
+ */
+export function serializeTableRows(format, { keys, rows, getValue }) {
+    const serializer = SERIALIZERS[format];
+    if (!serializer) {
+        throw new Error(`Unknown export format: ${format}`);
+    }
+    return serializer(keys, rows, getValue);
+}
+
+export function exceedsDiscordLimit(text) {
+    return text.length > DISCORD_MESSAGE_LIMIT;
+}
+
+export async function copyExportText(text) {
+    if (typeof navigator === 'undefined' || !navigator.clipboard || typeof navigator.clipboard.writeText !== 'function') {
+        return false;
+    }
+    try {
+        await navigator.clipboard.writeText(text);
+        return true;
+    } catch (error) {
+        console.warn('Failed to copy to clipboard', error);
+        return false;
+    }
+}
+
+export function downloadExportText(format, text, baseName) {
+    const { extension, mimeType } = EXPORT_FORMATS[format];
+    const blob = new Blob([text], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${baseName}-${new Date().toISOString().slice(0, 10)}.${extension}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,242 @@
+import { LABEL_COLUMNS, getLabelColumnValue, getRowLabelFields } from './bookmarkLabel.js';
+import { getRowExpiry, parseBookmarkExpiry } from './bookmarkTimers.js';
+
+const FIELD_ALIASES = {
+    label: 'Label',
+    type: 'Type',
+    jumps: 'Jumps',
+    sol: 'SOL',
+    system: 'SOL',
+    con: 'CON',
+    constellation: 'CON',
+    reg: 'REG',
+    region: 'REG',
+    date: 'Date',
+    created: 'Date',
+    expiry: 'Expiry',
+    expires: 'Expiry',
+    remaining: 'Expiry',
+    creator: 'Creator',
+    by: 'Creator',
+    source: 'Source',
+    folder: 'Source',
+    sig: 'Sig',
+    signature: 'Sig',
+    class: 'Class',
+    side: 'Side',
+    size: 'Size',
+    destination: 'Destination',
+    dest: 'Destination',
+    to: 'Destination',
+    flag: 'Flags',
+    flags: 'Flags'
+};
+
+const DURATION_UNITS_MS = {
+    s: 1000,
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+    w: 7 * 24 * 60 * 60 * 1000
+};
+
+const SEARCHABLE_FIELDS = ['Label', 'Type', 'Jumps', 'SOL', 'CON', 'REG', 'Date', 'Expiry', 'Creator', 'Source'];
+
+// Splits on whitespace while keeping "double quoted" runs together, including
+// quotes that start after `field:`. `quoteStart` is where in the token the
+// first quote opened, or -1.
+function tokenizeQuery(text) {
+    const tokens = [];
+    let current = '';
+    let inQuotes = false;
+    let quoteStart = -1;
+    for (const char of text) {
+        if (char === '"') {
+            inQuotes = !inQuotes;
+            if (quoteStart < 0) {
+                quoteStart = current.length;
+            }
+            continue;
+        }
+        if (!inQuotes && /\s/.test(char)) {
+            if (current || quoteStart >= 0) {
+                tokens.push({ text: current, quoteStart });
+            }
+            current = '';
+            quoteStart = -1;
+            continue;
+        }
+        current += char;
+    }
+    if (current || quoteStart >= 0) {
+        tokens.push({ text: current, quoteStart });
+    }
+    return tokens;
+}
+
+const FIELD_TERM_PATTERN = /^([a-z]+)(:|<=|>=|<|>)(.*)$/i;
+
+function isFieldTerm(text) {
+    const match = text.match(FIELD_TERM_PATTERN);
+    return Boolean(match && FIELD_ALIASES[match[1].toLowerCase()]);
+}
+
+// Wormhole labels start with "-", so a bare -ABC searches for that text. Only
+// `-field:value` and `-"quoted text"` negate.
+function isNegatedToken({ text, quoteStart }) {
+    if (text.length < 2 || !text.startsWith('-')) {
+        return false;
+    }
+    return quoteStart === 1 || isFieldTerm(text.slice(1));
+}
+
+export function parseDuration(text) {
+    const compact = (text || '').toString().toLowerCase().replace(/\s+/g, '');
+    if (!compact || !/^(\d+(?:\.\d+)?[smhdw])+$/.test(compact)) {
+        return null;
+    }
+    let total = 0;
+    compact.replace(/(\d+(?:\.\d+)?)([smhdw])/g, (match, amount, unit) => {
+        total += Number.parseFloat(amount) * DURATION_UNITS_MS[unit];
+        return match;
+    });
+    return total;
+}
+
+function parseComparisonValue(field, raw) {
+    if (field === 'Expiry') {
+        return parseDuration(raw);
+    }
+    if (field === 'Jumps') {
+        const value = Number.parseFloat(raw);
+        return Number.isFinite(value) ? value : null;
+    }
+    if (field === 'Date') {
+        const duration = parseDuration(raw);
+        if (duration !== null) {
+            return { age: duration };
+        }
+        const info = parseBookmarkExpiry(raw);
+        return info.type === 'timestamp' ? { timestamp: info.timestamp } : null;
+    }
+    return null;
+}
+
+/**
+ * Parses the bookmarks filter syntax: `field:value` (exact, case-insensitive),
+ * `field:~value` (contains), `field<value` / `>` / `<=` / `>=` for expires
+ * (durations such as 2h or 1d12h), jumps and date (a date or an age), a leading
+ * `-` to negate a field term or a quoted phrase, and bare words (including
+ * ones starting with `-`) matched against every column.
+ */
+export function parseTableQuery(text) {
+    const terms = [];
+    const errors = [];
+    tokenizeQuery((text || '').toString().trim()).forEach((tokenInfo) => {
+        const token = tokenInfo.text;
+        const negate = isNegatedToken(tokenInfo);
+        const body = negate ? token.slice(1) : token;
+
+        const match = body.match(FIELD_TERM_PATTERN);
+        const field = match ? FIELD_ALIASES[match[1].toLowerCase()] : null;
+        if (!match || !field) {
+            if (body) {
+                terms.push({ kind: 'text', value: body.toLowerCase(), negate });
+            }
+            return;
+        }
+
+        const [, name, operator, rawValue] = match;
+        if (operator === ':') {
+            const contains = rawValue.startsWith('~');
+            const value = (contains ? rawValue.slice(1) : rawValue).trim().toLowerCase();
+            if (!value) {
+                errors.push(`"${token}" needs a value after ${name}:`);
+                return;
+            }
+            terms.push({ kind: contains ? 'contains' : 'equals', field, value, negate });
+            return;
+        }
+
+        if (!['Expiry', 'Jumps', 'Date'].includes(field)) {
+            errors.push(`${name} cannot be compared with ${operator}`);
+            return;
+        }
+        const value = parseComparisonValue(field, rawValue.trim());
+        if (value === null) {
+            errors.push(`"${rawValue}" is not a valid ${field === 'Jumps' ? 'number' : field === 'Date' ? 'date or age' : 'duration'}`);
+            return;
+        }
+        terms.push({ kind: 'compare', field, operator, value, negate });
+    });
+    return { terms, errors, isEmpty: terms.length === 0 };
+}
+
+export function queryDependsOnTime(query) {
+    return query.terms.some((term) => term.kind === 'compare' && (term.field === 'Expiry' || term.value?.age !== undefined));
+}
+
+function compareNumbers(actual, operator, expected) {
+    switch (operator) {
+        case '<':
+            return actual < expected;
+        case '<=':
+            return actual <= expected;
+        case '>':
+            return actual > expected;
+        default:
+            return actual >= expected;
+    }
+}
+
+function matchesCompare(row, term, now) {
+    if (term.field === 'Expiry') {
+        const info = getRowExpiry(row);
+        if (info.type === 'infinite') {
+            return term.operator.startsWith('>');
+        }
+        if (info.type !== 'timestamp') {
+            return false;
+        }
+        return compareNumbers(info.timestamp - now, term.operator, term.value);
+    }
+    if (term.field === 'Jumps') {
+        const jumps = Number.parseFloat(row['Jumps']);
+        return Number.isFinite(jumps) && compareNumbers(jumps, term.operator, term.value);
+    }
+    const info = parseBookmarkExpiry(row['Date']);
+    if (info.type !== 'timestamp') {
+        return false;
+    }
+    if (term.value.age !== undefined) {
+        // date<2d reads as "created less than two days ago".
+        return compareNumbers(now - info.timestamp, term.operator, term.value.age);
+    }
+    return compareNumbers(info.timestamp, term.operator, term.value.timestamp);
+}
+
+function matchesTerm(row, term, now) {
+    if (term.kind === 'text') {
+        return SEARCHABLE_FIELDS.some((field) => (row[field] ?? '').toString().toLowerCase().includes(term.value));
+    }
+    if (term.kind === 'compare') {
+        return matchesCompare(row, term, now);
+    }
+    if (term.field === 'Sig' && term.kind === 'equals') {
+        // sig:ABC-123 matches on the three-letter prefix alone.
+        return getLabelColumnValue(row, 'Sig').toLowerCase() === term.value.slice(0, 3);
+    }
+    if (term.field === 'Flags' && term.kind === 'equals') {
+        return getRowLabelFields(row).flags.some((flag) => flag.toLowerCase() === term.value);
+    }
+    const value = LABEL_COLUMNS.includes(term.field) ? getLabelColumnValue(row, term.field) : row[term.field];
+    const actual = (value ?? '').toString().trim().toLowerCase();
+    return term.kind === 'contains' ? actual.includes(term.value) : actual === term.value;
+}
+
+export function matchesTableQuery(row, query, now = Date.now()) {
+    if (!row || !query || query.isEmpty) {
+        return true;
+    }
+    return query.terms.every((term) => matchesTerm(row, term, now) !== term.negate);
+}
@@ -0,0 +1,44 @@
+const DEFAULT_TOAST_TIMEOUT_MS = 5000;
+const MAX_VISIBLE_TOASTS = 4;
+
+let toastContainer = null;
+
+function ensureToastContainer() {
+    if (toastContainer && toastContainer.isConnected) {
+        return toastContainer;
+    }
+    toastContainer = document.createElement('div');
+    toastContainer.className = 'toast-container';
+    toastContainer.setAttribute('role', 'status');
+    toastContainer.setAttribute('aria-live', 'polite');
+    document.body.appendChild(toastContainer);
+    return toastContainer;
+}
+
+export function showToast(message, { type = 'info', timeoutMs = DEFAULT_TOAST_TIMEOUT_MS } = {}) {
+    if (!message || typeof document === 'undefined') {
+        return null;
+    }
+    const container = ensureToastContainer();
+
+    const toast = document.createElement('div');
+    toast.className = `toast toast-${type}`;
+    toast.textContent = message;
+    toast.addEventListener('click', () => dismissToast(toast));
+    container.appendChild(toast);
+
+    while (container.children.length > MAX_VISIBLE_TOASTS) {
+        container.removeChild(container.firstElementChild);
+    }
+
+    if (timeoutMs) {
+        setTimeout(() => dismissToast(toast), timeoutMs);
+    }
+    return toast;
+}
+
+function dismissToast(toast) {
+    if (toast && toast.parentNode) {
+        toast.parentNode.removeChild(toast);
+    }
+}
@@ -1,50 +1,58 @@
 import { displayMap } from './modules/map/displayMap.js';
+import { formatTimestamp } from './eveTime.js';
 
-const options = {
-    year: 'numeric',
-    month: '2-digit',
-    day: '2-digit',
-    hour: '2-digit',
-    minute: '2-digit',
-    second: '2-digit',
-    hour12: true,
-    timeZoneName: 'short'
-};
+let currentVersionTimestamp = null;
 
 function updateTimestampDisplay(timestamp) {
+    currentVersionTimestamp = timestamp || null;
+    document.dispatchEvent(new CustomEvent('bookmarkVersionChanged', {
+        detail: { timestamp: currentVersionTimestamp }
+    }));
     const timestampDisplay = document.getElementById('timestampDisplay');
-    const date = new Date(timestamp);
-    const formattedTimestamp = date.toLocaleString('en-US', options);
+    if (!timestamp) {
+        timestampDisplay.textContent = 'Data Timestamp: ';
+        return;
+    }
+    renderTimestampDisplay();
+}
+
+function renderTimestampDisplay() {
+    const timestampDisplay = document.getElementById('timestampDisplay');
+    if (!timestampDisplay || !currentVersionTimestamp) {
+        return;
+    }
+    const formattedTimestamp = formatTimestamp(currentVersionTimestamp, { seconds: true, zone: true });
     timestampDisplay.textContent = `Data Timestamp: ${formattedTimestamp}`;
 }
 
+// An empty version is shown as empty; only a missing version leaves the
+// current view alone.
 async function loadDataAndDisplay(versionTimestamp = null) {
-    const data = await getDataFromDB(versionTimestamp);
-    if (data.length > 0) {
-        const keys = ["Label", "Type", "Jumps", "SOL", "CON", "REG", "Date", "Expiry", "Creator"];
-        displayTable(keys, data);
-        displayMap(data);
-        if (typeof window.updateBookmarkStats === 'function') {
-            window.updateBookmarkStats(data);
-        }
-        if (versionTimestamp) {
-            updateTimestampDisplay(versionTimestamp);
-        } else {
-            const db = await dbPromise;
-            const versions = await db.getAll('versions');
-            if (versions.length > 0) {
-                updateTimestampDisplay(versions[versions.length - 1].timestamp);
-            }
-        }
+    const version = versionTimestamp ? await getVersion(versionTimestamp) : await getLatestVersion();
+    if (!version) {
+        return;
+    }
+    const data = Array.isArray(version.data) ? version.data : [];
+    const keys = ["Label", "Type", "Jumps", "SOL", "CON", "REG", "Date", "Expiry", "Creator"];
+    displayTable(keys, data);
+    displayMap(data);
+    if (typeof window.updateBookmarkStats === 'function') {
+        window.updateBookmarkStats(data);
     }
+    updateTimestampDisplay(version.timestamp);
+}
+
+function getCurrentVersionTimestamp() {
+    return currentVersionTimestamp;
 }
 
 async function navigateVersion(direction) {
-    const db = await dbPromise;
-    const versions = await db.getAll('versions');
+    const versions = await listVersionSummaries();
     if (versions.length > 0) {
-        const currentTimestamp = document.getElementById('timestampDisplay').textContent.split(': ')[1];
-        let currentIndex = versions.findIndex(version => new Date(version.timestamp).toLocaleString('en-US', options) === currentTimestamp);
+        let currentIndex = versions.findIndex(version => version.timestamp === currentVersionTimestamp);
+        if (currentIndex === -1) {
+            currentIndex = versions.length - 1;
+        }
         if (direction === 'prev' && currentIndex > 0) {
             currentIndex--;
         } else if (direction === 'next' && currentIndex < versions.length - 1) {
@@ -55,6 +63,9 @@ async function navigateVersion(direction) {
     }
 }
 
+window.addEventListener('timeDisplayModeChanged', renderTimestampDisplay);
+
 window.updateTimestampDisplay = updateTimestampDisplay;
 window.loadDataAndDisplay = loadDataAndDisplay;
 window.navigateVersion = navigateVersion;
+window.getCurrentVersionTimestamp = getCurrentVersionTimestamp;
@@ -0,0 +1,465 @@
+import { computeConnectionSummary, countSystems } from './stats.js';
+import { buildMapDiffHighlight, diffBookmarkVersions } from './versionDiff.js';
+import { setMapDiffHighlight } from './modules/map/displayMap.js';
+import { formatTimestamp } from './eveTime.js';
+
+const versionBrowserState = {
+    isOpen: false,
+    previousFocus: null,
+    countsCache: new Map(),
+    diffTarget: null
+};
+
+const versionBrowserDom = {
+    button: null,
+    modal: null,
+    closeButton: null,
+    list: null,
+    message: null,
+    diffFrom: null,
+    diffTo: null,
+    diffButton: null,
+    diffClearButton: null,
+    diffResults: null
+};
+
+let versionBrowserMessageTimeout = null;
+
+function initVersionBrowser() {
+    versionBrowserDom.button = document.getElementById('versionBrowserButton');
+    versionBrowserDom.modal = document.getElementById('versionBrowserModal');
+    versionBrowserDom.closeButton = document.getElementById('versionBrowserCloseButton');
+    versionBrowserDom.list = document.getElementById('versionBrowserList');
+    versionBrowserDom.message = document.getElementById('versionBrowserMessage');
+    versionBrowserDom.diffFrom = document.getElementById('versionDiffFrom');
+    versionBrowserDom.diffTo = document.getElementById('versionDiffTo');
+    versionBrowserDom.diffButton = document.getElementById('versionDiffButton');
+    versionBrowserDom.diffClearButton = document.getElementById('versionDiffClearButton');
+    versionBrowserDom.diffResults = document.getElementById('versionDiffResults');
+
+    if (!versionBrowserDom.button || !versionBrowserDom.modal || !versionBrowserDom.list) {
+        return;
+    }
+
+    versionBrowserDom.button.addEventListener('click', openVersionBrowser);
+    if (versionBrowserDom.closeButton) {
+        versionBrowserDom.closeButton.addEventListener('click', closeVersionBrowser);
+    }
+    versionBrowserDom.modal.addEventListener('click', (event) => {
+        if (event.target === versionBrowserDom.modal) {
+            closeVersionBrowser();
+        }
+    });
+    if (versionBrowserDom.diffButton) {
+        versionBrowserDom.diffButton.addEventListener('click', handleCompareVersions);
+    }
+    if (versionBrowserDom.diffClearButton) {
+        versionBrowserDom.diffClearButton.addEventListener('click', clearVersionDiff);
+    }
+    document.addEventListener('bookmarkVersionChanged', (event) => {
+        const timestamp = event.detail ? event.detail.timestamp : null;
+        if (versionBrowserState.diffTarget && timestamp !== versionBrowserState.diffTarget) {
+            clearVersionDiff();
+        }
+        if (versionBrowserState.isOpen) {
+            renderVersionList();
+        }
+    });
+    document.addEventListener('bookmarkVersionsPruned', (event) => {
+        const timestamps = event.detail ? event.detail.timestamps : [];
+        timestamps.forEach((timestamp) => versionBrowserState.countsCache.delete(timestamp));
+        if (versionBrowserState.isOpen) {
+            renderVersionList();
+        }
+    });
+    window.addEventListener('timeDisplayModeChanged', () => {
+        if (versionBrowserState.isOpen) {
+            renderVersionList();
+        }
+    });
+}
+
+function openVersionBrowser() {
+    versionBrowserState.isOpen = true;
+    versionBrowserState.previousFocus = document.activeElement instanceof HTMLElement ? document.activeElement : null;
+    versionBrowserDom.modal.style.display = 'block';
+    versionBrowserDom.modal.setAttribute('aria-hidden', 'false');
+    document.addEventListener('keydown', handleVersionBrowserKeydown, true);
+    renderVersionList();
+    if (versionBrowserDom.closeButton) {
+        versionBrowserDom.closeButton.focus();
+    }
+}
+
+function closeVersionBrowser() {
+    versionBrowserState.isOpen = false;
+    versionBrowserDom.modal.style.display = 'none';
+    versionBrowserDom.modal.setAttribute('aria-hidden', 'true');
+    document.removeEventListener('keydown', handleVersionBrowserKeydown, true);
+    showVersionBrowserMessage('');
+    if (versionBrowserState.previousFocus && typeof versionBrowserState.previousFocus.focus === 'function') {
+        versionBrowserState.previousFocus.focus();
+    }
+    versionBrowserState.previousFocus = null;
+}
+
+function handleVersionBrowserKeydown(event) {
+    if (event.key === 'Escape') {
+        event.preventDefault();
+        closeVersionBrowser();
+    }
+}
+
+function getVersionCounts(version) {
+    // Stored versions never change after they are saved, so the timestamp is enough.
+    const cached = versionBrowserState.countsCache.get(version.timestamp);
+    if (cached) {
+        return cached;
+    }
+    const data = Array.isArray(version.data) ? version.data : [];
+    const counts = {
+        rows: data.length,
+        systems: countSystems(data),
+        connections: computeConnectionSummary(data).totalConnections
+    };
+    versionBrowserState.countsCache.set(version.timestamp, counts);
+    return counts;
+}
+
+function formatVersionTimestamp(timestamp) {
+    return formatTimestamp(timestamp, { seconds: true, zone: true }) || timestamp;
+}
+
+async function renderVersionList() {
+    const container = versionBrowserDom.list;
+    let versions;
+    try {
+        versions = await listVersions();
+    } catch (error) {
+        console.error('Failed to load versions', error);
+        container.innerHTML = '<p class="version-browser-empty">Unable to read stored versions.</p>';
+        return;
+    }
+
+    container.innerHTML = '';
+    populateDiffSelects(versions);
+    if (!versions.length) {
+        container.innerHTML = '<p class="version-browser-empty">No versions stored yet.</p>';
+        return;
+    }
+
+    const currentTimestamp = window.getCurrentVersionTimestamp ? window.getCurrentVersionTimestamp() : null;
+    const latestTimestamp = versions[versions.length - 1].timestamp;
+
+    const table = document.createElement('table');
+    table.className = 'version-browser-table';
+    const thead = document.createElement('thead');
+    const headerRow = document.createElement('tr');
+    ['Saved', 'Label', 'Rows', 'Systems', 'Connections', ''].forEach((title) => {
+        const th = document.createElement('th');
+        th.textContent = title;
+        headerRow.appendChild(th);
+    });
+    thead.appendChild(headerRow);
+    table.appendChild(thead);
+
+    const tbody = document.createElement('tbody');
+    versions.slice().reverse().forEach((version) => {
+        tbody.appendChild(createVersionRow(version, {
+            isCurrent: version.timestamp === currentTimestamp,
+            isLatest: version.timestamp === latestTimestamp
+        }));
+    });
+    table.appendChild(tbody);
+    container.appendChild(table);
+}
+
+function createVersionRow(version, { isCurrent, isLatest }) {
+    const row = document.createElement('tr');
+    row.classList.toggle('version-browser-current', isCurrent);
+    const counts = getVersionCounts(version);
+
+    const savedCell = document.createElement('td');
+    savedCell.className = 'version-browser-saved';
+    savedCell.textContent = formatVersionTimestamp(version.timestamp);
+    const badges = [];
+    if (isCurrent) {
+        badges.push('viewing');
+    }
+    if (isLatest) {
+        badges.push('latest');
+    }
+    if (version.restoredFrom) {
+        const source = version.restoredFromLabel ? `"${version.restoredFromLabel}"` : formatVersionTimestamp(version.restoredFrom);
+        badges.push(`restored from ${source}`);
+    }
+    badges.forEach((badge) => {
+        const span = document.createElement('span');
+        span.className = 'version-browser-badge';
+        span.textContent = badge;
+        savedCell.appendChild(span);
+    });
+    row.appendChild(savedCell);
+
+    const labelCell = document.createElement('td');
+    const labelInput = document.createElement('input');
+    labelInput.type = 'text';
+    labelInput.className = 'version-browser-label';
+    labelInput.placeholder = 'Add a label...';
+    labelInput.value = version.label || '';
+    labelInput.setAttribute('aria-label', `Label for version saved ${formatVersionTimestamp(version.timestamp)}`);
+    labelInput.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') {
+            labelInput.blur();
+        }
+    });
+    labelInput.addEventListener('change', () => handleLabelChange(version, labelInput.value));
+    labelCell.appendChild(labelInput);
+    row.appendChild(labelCell);
+
+    [counts.rows, counts.systems, counts.connections].forEach((value) => {
+        const cell = document.createElement('td');
+        cell.className = 'version-browser-count';
+        cell.textContent = value.toString();
+        row.appendChild(cell);
+    });
+
+    const actionsCell = document.createElement('td');
+    actionsCell.className = 'version-browser-actions';
+    actionsCell.appendChild(createActionButton('View', () => handleViewVersion(version), isCurrent));
+    actionsCell.appendChild(createActionButton('Make current', () => handleRestoreVersion(version), isLatest));
+    actionsCell.appendChild(createActionButton('Delete', () => handleDeleteVersion(version), false));
+    row.appendChild(actionsCell);
+
+    return row;
+}
+
+function createActionButton(text, onClick, disabled) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = text;
+    button.disabled = Boolean(disabled);
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+async function handleLabelChange(version, value) {
+    try {
+        const updated = await updateVersionLabel(version.timestamp, value);
+        if (updated) {
+            version.label = updated.label;
+            showVersionBrowserMessage(updated.label ? `Labelled version "${updated.label}".` : 'Label removed.');
+        }
+    } catch (error) {
+        console.error('Failed to label version', error);
+        showVersionBrowserMessage('Unable to save the label.', true);
+    }
+}
+
+async function handleViewVersion(version) {
+    await loadDataAndDisplay(version.timestamp);
+    if (!version.data || !version.data.length) {
+        showVersionBrowserMessage('That version has no bookmarks to display.', true);
+    }
+}
+
+async function handleRestoreVersion(version) {
+    try {
+        const restored = await restoreVersion(version.timestamp);
+        if (!restored) {
+            showVersionBrowserMessage('That version no longer exists.', true);
+            renderVersionList();
+            return;
+        }
+        await loadDataAndDisplay(restored.timestamp);
+        showVersionBrowserMessage(`Restored ${formatVersionTimestamp(version.timestamp)} as the latest version.`);
+        renderVersionList();
+    } catch (error) {
+        console.error('Failed to restore version', error);
+        showVersionBrowserMessage('Unable to restore that version.', true);
+    }
+}
+
+async function handleDeleteVersion(version) {
+    const name = version.label ? `"${version.label}"` : formatVersionTimestamp(version.timestamp);
+    if (!window.confirm(`Delete the version saved ${name}? This cannot be undone.`)) {
+        return;
+    }
+    try {
+        const wasCurrent = version.timestamp === window.getCurrentVersionTimestamp();
+        await deleteVersion(version.timestamp);
+        versionBrowserState.countsCache.delete(version.timestamp);
+        if (wasCurrent) {
+            const latest = await getLatestVersion();
+            if (latest) {
+                await loadDataAndDisplay(latest.timestamp);
+            } else {
+                await clearDatabase();
+            }
+        }
+        showVersionBrowserMessage(`Deleted version ${name}.`);
+        renderVersionList();
+    } catch (error) {
+        console.error('Failed to delete version', error);
+        showVersionBrowserMessage('Unable to delete that version.', true);
+    }
+}
+
+function describeVersionOption(version) {
+    const saved = formatVersionTimestamp(version.timestamp);
+    return version.label ? `${saved} — ${version.label}` : saved;
+}
+
+function populateDiffSelects(versions) {
+    const { diffFrom, diffTo, diffButton } = versionBrowserDom;
+    if (!diffFrom || !diffTo) {
+        return;
+    }
+    const previousFrom = diffFrom.value;
+    const previousTo = diffTo.value;
+    [diffFrom, diffTo].forEach((select) => {
+        select.innerHTML = '';
+        versions.slice().reverse().forEach((version) => {
+            const option = document.createElement('option');
+            option.value = version.timestamp;
+            option.textContent = describeVersionOption(version);
+            select.appendChild(option);
+        });
+    });
+
+    const timestamps = versions.map((version) => version.timestamp);
+    const latest = timestamps[timestamps.length - 1] || '';
+    const beforeLatest = timestamps[timestamps.length - 2] || latest;
+    diffFrom.value = timestamps.includes(previousFrom) ? previousFrom : beforeLatest;
+    diffTo.value = timestamps.includes(previousTo) ? previousTo : latest;
+    if (diffButton) {
+        diffButton.disabled = versions.length < 2;
+    }
+}
+
+async function handleCompareVersions() {
+    const fromTimestamp = versionBrowserDom.diffFrom.value;
+    const toTimestamp = versionBrowserDom.diffTo.value;
+    if (!fromTimestamp || !toTimestamp || fromTimestamp === toTimestamp) {
+        showVersionBrowserMessage('Pick two different versions to compare.', true);
+        return;
+    }
+    try {
+        const [fromVersion, toVersion] = await Promise.all([getVersion(fromTimestamp), getVersion(toTimestamp)]);
+        if (!fromVersion || !toVersion) {
+            showVersionBrowserMessage('One of those versions no longer exists.', true);
+            renderVersionList();
+            return;
+        }
+        const diff = diffBookmarkVersions(fromVersion.data, toVersion.data);
+        versionBrowserState.diffTarget = toVersion.timestamp;
+        if (window.getCurrentVersionTimestamp() !== toVersion.timestamp) {
+            await loadDataAndDisplay(toVersion.timestamp);
+        }
+        renderVersionDiff(diff, fromVersion, toVersion);
+        setMapDiffHighlight(buildMapDiffHighlight(diff));
+        if (versionBrowserDom.diffClearButton) {
+            versionBrowserDom.diffClearButton.disabled = false;
+        }
+    } catch (error) {
+        console.error('Failed to compare versions', error);
+        showVersionBrowserMessage('Unable to compare those versions.', true);
+    }
+}
+
+function clearVersionDiff() {
+    versionBrowserState.diffTarget = null;
+    setMapDiffHighlight(null);
+    if (versionBrowserDom.diffClearButton) {
+        versionBrowserDom.diffClearButton.disabled = true;
+    }
+    if (versionBrowserDom.diffResults) {
+        versionBrowserDom.diffResults.innerHTML = '';
+        versionBrowserDom.diffResults.hidden = true;
+    }
+}
+
+function renderVersionDiff(diff, fromVersion, toVersion) {
+    const container = versionBrowserDom.diffResults;
+    if (!container) {
+        return;
+    }
+    container.innerHTML = '';
+    container.hidden = false;
+
+    const heading = document.createElement('h4');
+    heading.className = 'version-diff-heading';
+    heading.textContent = `${describeVersionOption(fromVersion)} → ${describeVersionOption(toVersion)}`;
+    container.appendChild(heading);
+
+    const describeConnection = ({ systems }) => systems.join(' ↔ ');
+    const describeRow = (row) => `${row.SOL || '?'}: ${row.Label || ''}`;
+    const describeChange = ({ before, after, fields, flagsAdded, flagsRemoved }) => {
+        const parts = [];
+        if (fields.includes('Label')) {
+            parts.push(`${after.SOL || '?'}: ${before.Label || ''} → ${after.Label || ''}`);
+        } else {
+            parts.push(`${describeRow(after)} (${fields.join(', ')})`);
+        }
+        flagsAdded.forEach((flag) => parts.push(`+${flag}`));
+        flagsRemoved.forEach((flag) => parts.push(`−${flag}`));
+        return parts.join(' ');
+    };
+
+    const sections = [
+        { title: 'Connections appeared', status: 'added', items: diff.connections.appeared.map(describeConnection) },
+        { title: 'Connections collapsed', status: 'removed', items: diff.connections.collapsed.map(describeConnection) },
+        { title: 'Bookmarks added', status: 'added', items: diff.added.map(describeRow) },
+        { title: 'Bookmarks removed', status: 'removed', items: diff.removed.map(describeRow) },
+        { title: 'Bookmarks changed', status: 'changed', items: diff.changed.map(describeChange) }
+    ];
+
+    const total = sections.reduce((sum, section) => sum + section.items.length, 0);
+    if (!total) {
+        const empty = document.createElement('p');
+        empty.className = 'version-browser-empty';
+        empty.textContent = 'No differences between these versions.';
+        container.appendChild(empty);
+        return;
+    }
+
+    sections.forEach((section) => {
+        if (!section.items.length) {
+            return;
+        }
+        const details = document.createElement('details');
+        details.className = `version-diff-section version-diff-${section.status}`;
+        details.open = true;
+        const summary = document.createElement('summary');
+        summary.textContent = `${section.title} (${section.items.length})`;
+        details.appendChild(summary);
+        const list = document.createElement('ul');
+        section.items.forEach((text) => {
+            const item = document.createElement('li');
+            item.textContent = text;
+            list.appendChild(item);
+        });
+        details.appendChild(list);
+        container.appendChild(details);
+    });
+}
+
+function showVersionBrowserMessage(message, isError = false, timeoutMs = 6000) {
+    if (!versionBrowserDom.message) {
+        return;
+    }
+    if (versionBrowserMessageTimeout) {
+        clearTimeout(versionBrowserMessageTimeout);
+        versionBrowserMessageTimeout = null;
+    }
+    versionBrowserDom.message.textContent = message || '';
+    versionBrowserDom.message.classList.toggle('error', Boolean(isError && message));
+    if (message && timeoutMs) {
+        versionBrowserMessageTimeout = setTimeout(() => {
+            versionBrowserDom.message.textContent = '';
+            versionBrowserDom.message.classList.remove('error');
+        }, timeoutMs);
+    }
+}
+
+document.addEventListener('DOMContentLoaded', initVersionBrowser);
@@ -0,0 +1,133 @@
+import { collectConnections } from './stats.js';
+
+const DIFF_FIELDS = ['Label', 'Type', 'Jumps', 'SOL', 'CON', 'REG', 'Date', 'Expiry', 'Creator', 'Source'];
+const LIFETIME_FLAGS = ['VEOL', 'EOL', 'CRIT'];
+
+export const DIFF_STATUS = {
+    ADDED: 'added',
+    REMOVED: 'removed',
+    CHANGED: 'changed'
+};
+
+// A bookmark keeps its creation date, creator, system and type when it is
+// relabelled in game, so those identify "the same" bookmark across pastes.
+export function buildBookmarkIdentity(row) {
+    const date = (row?.Date || '').toString().trim();
+    if (!date) {
+        return `key:${window.createBookmarkKey(row)}`;
+    }
+    return ['SOL', 'Type', 'Creator', 'Date']
+        .map((field) => (row?.[field] || '').toString().trim())
+        .join('|');
+}
+
+function indexRowsByIdentity(rows) {
+    const index = new Map();
+    const occurrences = new Map();
+    (Array.isArray(rows) ? rows : []).forEach((row) => {
+        const identity = buildBookmarkIdentity(row);
+        const count = occurrences.get(identity) || 0;
+        occurrences.set(identity, count + 1);
+        index.set(`${identity}#${count}`, row);
+    });
+    return index;
+}
+
+function extractLifetimeFlags(label) {
+    const tokens = new Set(
+        (label || '')
+            .toString()
+            .toUpperCase()
+            .split(/[\s|&]+/)
+            .filter(Boolean)
+    );
+    return LIFETIME_FLAGS.filter((flag) => tokens.has(flag));
+}
+
+export function diffBookmarkVersions(olderRows, newerRows) {
+    const olderIndex = indexRowsByIdentity(olderRows);
+    const newerIndex = indexRowsByIdentity(newerRows);
+
+    const added = [];
+    const removed = [];
+    const changed = [];
+
+    newerIndex.forEach((row, key) => {
+        const previous = olderIndex.get(key);
+        if (!previous) {
+            added.push(row);
+            return;
+        }
+        const fields = DIFF_FIELDS.filter((field) => {
+            return (previous[field] ?? '').toString() !== (row[field] ?? '').toString();
+        });
+        if (!fields.length) {
+            return;
+        }
+        const flagsBefore = extractLifetimeFlags(previous.Label);
+        const flagsAfter = extractLifetimeFlags(row.Label);
+        changed.push({
+            before: previous,
+            after: row,
+            fields,
+            flagsAdded: flagsAfter.filter((flag) => !flagsBefore.includes(flag)),
+            flagsRemoved: flagsBefore.filter((flag) => !flagsAfter.includes(flag))
+        });
+    });
+
+    olderIndex.forEach((row, key) => {
+        if (!newerIndex.has(key)) {
+            removed.push(row);
+        }
+    });
+
+    const olderConnections = new Map(collectConnections(olderRows).map((connection) => [connection.key, connection]));
+    const newerConnections = new Map(collectConnections(newerRows).map((connection) => [connection.key, connection]));
+    const appeared = [];
+    const collapsed = [];
+    newerConnections.forEach((connection, key) => {
+        if (!olderConnections.has(key)) {
+            appeared.push({ key, systems: connection.systems });
+        }
+    });
+    olderConnections.forEach((connection, key) => {
+        if (!newerConnections.has(key)) {
+            collapsed.push({ key, systems: connection.systems });
+        }
+    });
+
+    return {
+        added,
+        removed,
+        changed,
+        connections: { appeared, collapsed }
+    };
+}
+
+// Shapes a diff for the map: system names and connection keys are upper-cased
+// the same way the map normalises them.
+export function buildMapDiffHighlight(diff) {
+    const systems = new Map();
+    const links = new Map();
+    const markSystem = (name, status) => {
+        const key = (name || '').toString().trim().toUpperCase();
+        if (!key || key.includes('?')) {
+            return;
+        }
+        const previous = systems.get(key);
+        systems.set(key, previous && previous !== status ? DIFF_STATUS.CHANGED : status);
+    };
+
+    diff.added.forEach((row) => markSystem(row.SOL, DIFF_STATUS.ADDED));
+    diff.removed.forEach((row) => markSystem(row.SOL, DIFF_STATUS.REMOVED));
+    diff.changed.forEach(({ after }) => markSystem(after.SOL, DIFF_STATUS.CHANGED));
+    diff.connections.appeared.forEach(({ key, systems: pair }) => {
+        links.set(key, DIFF_STATUS.ADDED);
+        pair.forEach((name) => markSystem(name, DIFF_STATUS.ADDED));
+    });
+    diff.connections.collapsed.forEach(({ systems: pair }) => {
+        pair.forEach((name) => markSystem(name, DIFF_STATUS.REMOVED));
+    });
+
+    return { systems, links };
+}
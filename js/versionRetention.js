@@ -0,0 +1,230 @@
+import { STORES, onStorageReady, readStored, writeStored } from './storage.js';
+
+const RETENTION_STORAGE_KEY = 'versionRetention';
+
+export const THIN_MODES = {
+    NONE: 'none',
+    HOURLY: 'hourly',
+    DAILY: 'daily'
+};
+
+// Only fills the form. Nothing is pruned until the user saves a policy.
+const DEFAULT_POLICY = {
+    keepLatest: 25,
+    thin: THIN_MODES.HOURLY,
+    maxAgeDays: 0
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const retentionDom = {
+    panel: null,
+    keepInput: null,
+    thinSelect: null,
+    maxAgeInput: null,
+    applyButton: null,
+    status: null,
+    usage: null
+};
+
+function normalizePolicy(raw) {
+    const source = raw && typeof raw === 'object' ? raw : {};
+    const keepLatest = Number.parseInt(source.keepLatest, 10);
+    const maxAgeDays = Number.parseInt(source.maxAgeDays, 10);
+    return {
+        keepLatest: Number.isFinite(keepLatest) && keepLatest >= 1 ? keepLatest : DEFAULT_POLICY.keepLatest,
+        thin: Object.values(THIN_MODES).includes(source.thin) ? source.thin : DEFAULT_POLICY.thin,
+        maxAgeDays: Number.isFinite(maxAgeDays) && maxAgeDays >= 0 ? maxAgeDays : DEFAULT_POLICY.maxAgeDays
+    };
+}
+
+export function loadRetentionPolicy() {
+    return normalizePolicy(readStored(STORES.PREFERENCES, RETENTION_STORAGE_KEY));
+}
+
+function hasSavedRetentionPolicy() {
+    const stored = readStored(STORES.PREFERENCES, RETENTION_STORAGE_KEY, null);
+    return Boolean(stored && typeof stored === 'object');
+}
+
+function saveRetentionPolicy(policy) {
+    writeStored(STORES.PREFERENCES, RETENTION_STORAGE_KEY, policy);
+}
+
+function getThinBucket(timestamp, thin) {
+    if (thin === THIN_MODES.HOURLY) {
+        return timestamp.slice(0, 13);
+    }
+    if (thin === THIN_MODES.DAILY) {
+        return timestamp.slice(0, 10);
+    }
+    return timestamp;
+}
+
+// The newest `keepLatest` versions and anything labelled are always kept. Older
+// versions are dropped past `maxAgeDays`, and otherwise thinned to the newest
+// version in each hour or day (timestamps are UTC ISO strings).
+export function selectVersionsToPrune(versions, policy, now = Date.now()) {
+    const { keepLatest, thin, maxAgeDays } = normalizePolicy(policy);
+    const ordered = versions
+        .filter((version) => version && typeof version.timestamp === 'string')
+        .slice()
+        .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+    const cutoff = maxAgeDays > 0 ? now - maxAgeDays * DAY_MS : null;
+    const seenBuckets = new Set();
+    const prune = [];
+
+    ordered.forEach((version, index) => {
+        if (index < keepLatest || version.label) {
+            return;
+        }
+        const time = new Date(version.timestamp).getTime();
+        if (cutoff !== null && Number.isFinite(time) && time < cutoff) {
+            prune.push(version.timestamp);
+            return;
+        }
+        const bucket = getThinBucket(version.timestamp, thin);
+        if (seenBuckets.has(bucket)) {
+            prune.push(version.timestamp);
+            return;
+        }
+        seenBuckets.add(bucket);
+    });
+
+    return prune;
+}
+
+// Called after every save; keeps everything until a policy has been saved.
+async function enforceVersionRetention(policy = null) {
+    if (!policy) {
+        if (!hasSavedRetentionPolicy()) {
+            return [];
+        }
+        policy = loadRetentionPolicy();
+    }
+    const versions = await listVersionSummaries();
+    const prune = selectVersionsToPrune(versions, policy);
+    if (!prune.length) {
+        return [];
+    }
+    await deleteVersions(prune);
+    document.dispatchEvent(new CustomEvent('bookmarkVersionsPruned', {
+        detail: { timestamps: prune }
+    }));
+    return prune;
+}
+
+function initVersionRetention() {
+    retentionDom.panel = document.getElementById('versionRetentionPanel');
+    retentionDom.keepInput = document.getElementById('versionRetentionKeep');
+    retentionDom.thinSelect = document.getElementById('versionRetentionThin');
+    retentionDom.maxAgeInput = document.getElementById('versionRetentionMaxAge');
+    retentionDom.applyButton = document.getElementById('versionRetentionApplyButton');
+    retentionDom.status = document.getElementById('versionRetentionStatus');
+    retentionDom.usage = document.getElementById('versionStorageUsage');
+
+    if (!retentionDom.panel || !retentionDom.applyButton) {
+        return;
+    }
+
+    fillPolicyInputs(loadRetentionPolicy());
+    retentionDom.applyButton.addEventListener('click', handleApplyRetention);
+    retentionDom.panel.addEventListener('toggle', () => {
+        if (retentionDom.panel.open) {
+            fillPolicyInputs(loadRetentionPolicy());
+            renderStorageUsage();
+        }
+    });
+    ['bookmarkVersionChanged', 'bookmarkVersionsPruned'].forEach((eventName) => {
+        document.addEventListener(eventName, () => {
+            if (retentionDom.panel.open) {
+                renderStorageUsage();
+            }
+        });
+    });
+}
+
+function fillPolicyInputs(policy) {
+    retentionDom.keepInput.value = policy.keepLatest.toString();
+    retentionDom.thinSelect.value = policy.thin;
+    retentionDom.maxAgeInput.value = policy.maxAgeDays.toString();
+}
+
+function readPolicyInputs() {
+    return normalizePolicy({
+        keepLatest: retentionDom.keepInput.value,
+        thin: retentionDom.thinSelect.value,
+        maxAgeDays: retentionDom.maxAgeInput.value
+    });
+}
+
+async function handleApplyRetention() {
+    const policy = readPolicyInputs();
+    fillPolicyInputs(policy);
+    try {
+        const versions = await listVersionSummaries();
+        const prune = selectVersionsToPrune(versions, policy);
+        if (prune.length && !window.confirm(`Saving this policy removes ${prune.length} stored version(s). Continue?`)) {
+            return;
+        }
+        saveRetentionPolicy(policy);
+        const removed = await enforceVersionRetention(policy);
+        const currentTimestamp = window.getCurrentVersionTimestamp ? window.getCurrentVersionTimestamp() : null;
+        if (currentTimestamp && removed.includes(currentTimestamp)) {
+            await loadDataAndDisplay();
+        }
+        setRetentionStatus(removed.length ? `Policy saved; removed ${removed.length} version(s).` : 'Policy saved; nothing to remove.');
+        renderStorageUsage();
+    } catch (error) {
+        console.error('Failed to apply version retention', error);
+        setRetentionStatus('Unable to apply the retention policy.', true);
+    }
+}
+
+function setRetentionStatus(message, isError = false) {
+    if (!retentionDom.status) {
+        return;
+    }
+    retentionDom.status.textContent = message;
+    retentionDom.status.classList.toggle('error', Boolean(isError));
+}
+
+function formatBytes(bytes) {
+    if (!Number.isFinite(bytes)) {
+        return '?';
+    }
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let value = bytes;
+    let unitIndex = 0;
+    while (value >= 1024 && unitIndex < units.length - 1) {
+        value /= 1024;
+        unitIndex += 1;
+    }
+    return `${value.toFixed(unitIndex === 0 ? 0 : 1)} ${units[unitIndex]}`;
+}
+
+async function renderStorageUsage() {
+    if (!retentionDom.usage) {
+        return;
+    }
+    try {
+        const [versions, uniqueRows] = await Promise.all([listVersionSummaries(), countStoredRows()]);
+        const rowRefs = versions.reduce((total, version) => total + version.rowCount, 0);
+        const parts = [
+            `${versions.length} version(s)`,
+            `${rowRefs} bookmark row(s) stored as ${uniqueRows} unique row(s)`
+        ];
+        if (navigator.storage && typeof navigator.storage.estimate === 'function') {
+            const { usage, quota } = await navigator.storage.estimate();
+            parts.push(`${formatBytes(usage)} used of ${formatBytes(quota)} available to this site`);
+        }
+        retentionDom.usage.textContent = `${parts.join(' · ')}.`;
+    } catch (error) {
+        console.warn('Failed to read storage usage', error);
+        retentionDom.usage.textContent = 'Storage usage is unavailable.';
+    }
+}
+
+window.enforceVersionRetention = enforceVersionRetention;
+
+document.addEventListener('DOMContentLoaded', () => onStorageReady(initVersionRetention));
@@ -0,0 +1,52 @@
+function stableRowJson(row) {
+    const source = row && typeof row === 'object' ? row : {};
+    const ordered = {};
+    Object.keys(source).sort().forEach((key) => {
+        ordered[key] = source[key];
+    });
+    return JSON.stringify(ordered);
+}
+
+// 53-bit string hash (cyrb53); the JSON length is appended to make collisions
+// between different rows even less likely.
+function hashRowJson(json) {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let index = 0; index < json.length; index += 1) {
+        const code = json.charCodeAt(index);
+        h1 = Math.imul(h1 ^ code, 2654435761);
+        h2 = Math.imul(h2 ^ code, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    const hash = 4294967296 * (2097151 & h2) + (h1 >>> 0);
+    return `${hash.toString(36)}-${json.length.toString(36)}`;
+}
+
+export function splitRowsForStorage(data) {
+    const rowRefs = [];
+    const rows = new Map();
+    (Array.isArray(data) ? data : []).forEach((row) => {
+        const json = stableRowJson(row);
+        const hash = hashRowJson(json);
+        rowRefs.push(hash);
+        if (!rows.has(hash)) {
+            rows.set(hash, { hash, row });
+        }
+    });
+    return { rowRefs, rows: Array.from(rows.values()) };
+}
+
+export function hydrateVersion(record, rowLookup) {
+    if (!record) {
+        return null;
+    }
+    if (Array.isArray(record.data)) {
+        return record;
+    }
+    const { rowRefs, ...rest } = record;
+    const data = (Array.isArray(rowRefs) ? rowRefs : [])
+        .map((hash) => rowLookup.get(hash))
+        .filter(Boolean);
+    return { ...rest, data };
+}
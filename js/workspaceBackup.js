@@ -0,0 +1,462 @@
+import { displayErrorMessage } from './clipboard.js';
+import { formatTimestamp } from './eveTime.js';
+import { flushSystemIntelDrafts, reloadSystemIntelFromStorage } from './intel.js';
+import {
+    STORES,
+    clearStore,
+    getActiveWorkspaceId,
+    listStoredKeys,
+    listWorkspaces,
+    readStored,
+    readStoredObject,
+    readWorkspaceEntries,
+    writeStored
+} from './storage.js';
+
+const ARCHIVE_FORMAT = 'bookmark-viewer-workspace';
+// v1 archives stored the layout section as raw localStorage strings.
+const ARCHIVE_VERSION = 2;
+
+export const RESTORE_MODE = {
+    REPLACE: 'replace',
+    MERGE: 'merge',
+    SKIP: 'skip'
+};
+
+// `object` sections are maps keyed by system, `list` sections are arrays of
+// system names and `store` sections copy every entry of a storage store.
+const STORAGE_SECTIONS = [
+    { id: 'intelNotes', label: 'System notes', kind: 'object', store: STORES.INTEL, key: 'notes' },
+    { id: 'intelNicknames', label: 'System nicknames', kind: 'object', store: STORES.INTEL, key: 'nicknames' },
+    { id: 'signatures', label: 'Signatures', kind: 'object', store: STORES.SIGNATURES, key: 'systems' },
+    { id: 'pinnedRoutes', label: 'Pinned routes', kind: 'list', store: STORES.ROUTES, key: 'pinned' },
+    { id: 'layout', label: 'Module layout', kind: 'store', store: STORES.LAYOUT },
+    { id: 'retention', label: 'Version retention settings', kind: 'object', store: STORES.PREFERENCES, key: 'versionRetention' },
+    { id: 'tableView', label: 'Table columns and sort', kind: 'object', store: STORES.PREFERENCES, key: 'bookmarkTable' },
+    { id: 'expiryAlerts', label: 'Expiry alert rules', kind: 'object', store: STORES.PREFERENCES, key: 'expiryAlerts' }
+];
+
+const VERSIONS_SECTION = { id: 'versions', label: 'Bookmark versions' };
+
+const backupState = {
+    archive: null,
+    isOpen: false,
+    previousFocus: null
+};
+
+const backupDom = {
+    exportButton: null,
+    importButton: null,
+    fileInput: null,
+    modal: null,
+    closeButton: null,
+    summary: null,
+    sections: null,
+    message: null,
+    restoreButton: null,
+    cancelButton: null
+};
+
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function readStorageSection(section) {
+    if (section.kind === 'store') {
+        const values = {};
+        listStoredKeys(section.store).forEach((key) => {
+            values[key] = readStored(section.store, key);
+        });
+        return values;
+    }
+    if (section.kind === 'list') {
+        const value = readStored(section.store, section.key, []);
+        return Array.isArray(value) ? value : [];
+    }
+    return readStoredObject(section.store, section.key);
+}
+
+async function readWorkspaceSection(section, workspaceId) {
+    if (workspaceId === getActiveWorkspaceId()) {
+        return readStorageSection(section);
+    }
+    const entries = await readWorkspaceEntries(workspaceId, section.store);
+    if (section.kind === 'store') {
+        return Object.fromEntries(entries);
+    }
+    const value = entries.get(section.key);
+    if (section.kind === 'list') {
+        return Array.isArray(value) ? value : [];
+    }
+    return isPlainObject(value) ? value : {};
+}
+
+function parseLegacyLayoutValues(values) {
+    const parsed = {};
+    Object.entries(values).forEach(([key, raw]) => {
+        try {
+            parsed[key] = JSON.parse(raw);
+        } catch (error) {
+            parsed[key] = raw;
+        }
+    });
+    return parsed;
+}
+
+// Collects every section of a workspace (the active one by default) in the
+// shape used by archives, so it can also feed a copy between workspaces.
+export async function collectWorkspaceSections(workspaceId = getActiveWorkspaceId()) {
+    if (workspaceId === getActiveWorkspaceId()) {
+        flushSystemIntelDrafts();
+    }
+    const sections = {
+        [VERSIONS_SECTION.id]: await listVersions(workspaceId)
+    };
+    for (const section of STORAGE_SECTIONS) {
+        sections[section.id] = await readWorkspaceSection(section, workspaceId);
+    }
+    return sections;
+}
+
+export function listWorkspaceSections() {
+    return [VERSIONS_SECTION, ...STORAGE_SECTIONS].map(({ id, label }) => ({ id, label }));
+}
+
+export async function buildWorkspaceArchive() {
+    const workspaceId = getActiveWorkspaceId();
+    const workspace = listWorkspaces().find((entry) => entry.id === workspaceId);
+    return {
+        format: ARCHIVE_FORMAT,
+        version: ARCHIVE_VERSION,
+        exportedAt: new Date().toISOString(),
+        workspace: workspace ? workspace.name : null,
+        sections: await collectWorkspaceSections(workspaceId)
+    };
+}
+
+// Returns { archive } or { error } with a message suitable for the UI.
+export function validateWorkspaceArchive(value) {
+    if (!isPlainObject(value) || value.format !== ARCHIVE_FORMAT) {
+        return { error: 'That file is not a workspace backup.' };
+    }
+    if (!Number.isInteger(value.version) || value.version < 1) {
+        return { error: 'The backup has no valid format version.' };
+    }
+    if (value.version > ARCHIVE_VERSION) {
+        return { error: `The backup was written by a newer version (v${value.version}); update the app first.` };
+    }
+    if (!isPlainObject(value.sections)) {
+        return { error: 'The backup does not contain any sections.' };
+    }
+
+    const sections = {};
+    const versions = value.sections[VERSIONS_SECTION.id];
+    if (versions !== undefined) {
+        if (!Array.isArray(versions)) {
+            return { error: 'The bookmark versions section is malformed.' };
+        }
+        const invalid = versions.find((version) => {
+            return !isPlainObject(version)
+                || typeof version.timestamp !== 'string'
+                || Number.isNaN(new Date(version.timestamp).getTime())
+                || !Array.isArray(version.data);
+        });
+        if (invalid) {
+            return { error: 'The bookmark versions section contains an invalid version.' };
+        }
+        sections[VERSIONS_SECTION.id] = versions;
+    }
+
+    for (const section of STORAGE_SECTIONS) {
+        const sectionValue = value.sections[section.id];
+        if (sectionValue === undefined) {
+            continue;
+        }
+        const isLegacyStore = section.kind === 'store' && value.version === 1;
+        const valid = section.kind === 'list'
+            ? Array.isArray(sectionValue) && sectionValue.every((entry) => typeof entry === 'string')
+            : isPlainObject(sectionValue)
+                && (!isLegacyStore || Object.values(sectionValue).every((entry) => typeof entry === 'string'));
+        if (!valid) {
+            return { error: `The ${section.label.toLowerCase()} section is malformed.` };
+        }
+        sections[section.id] = isLegacyStore ? parseLegacyLayoutValues(sectionValue) : sectionValue;
+    }
+
+    if (!Object.keys(sections).length) {
+        return { error: 'The backup does not contain any sections this version understands.' };
+    }
+    return {
+        archive: {
+            version: value.version,
+            exportedAt: typeof value.exportedAt === 'string' ? value.exportedAt : null,
+            workspace: typeof value.workspace === 'string' ? value.workspace : null,
+            sections
+        }
+    };
+}
+
+function mergeLists(existing, incoming) {
+    const seen = new Set();
+    return existing.concat(incoming).filter((entry) => {
+        const key = entry.trim().toLowerCase();
+        if (!key || seen.has(key)) {
+            return false;
+        }
+        seen.add(key);
+        return true;
+    });
+}
+
+// Resolves to whether every write reached storage.
+async function writeStorageSection(section, value, mode) {
+    if (section.kind === 'store') {
+        const cleared = mode === RESTORE_MODE.REPLACE ? await clearStore(section.store) : true;
+        const written = await Promise.all(Object.entries(value).map(([key, entry]) => writeStored(section.store, key, entry)));
+        return cleared && written.every(Boolean);
+    }
+    let next = value;
+    if (mode === RESTORE_MODE.MERGE) {
+        const existing = readStorageSection(section);
+        // Entries from the archive win when both sides have the same system.
+        next = section.kind === 'list' ? mergeLists(existing, value) : { ...existing, ...value };
+    }
+    return writeStored(section.store, section.key, next);
+}
+
+export async function restoreWorkspaceArchive(archive, modes) {
+    const restored = [];
+    const failed = [];
+    const versions = archive.sections[VERSIONS_SECTION.id];
+    const versionMode = modes[VERSIONS_SECTION.id];
+    if (versions && versionMode && versionMode !== RESTORE_MODE.SKIP) {
+        await importVersions(versions, { replace: versionMode === RESTORE_MODE.REPLACE });
+        restored.push(VERSIONS_SECTION.label);
+    }
+    for (const section of STORAGE_SECTIONS) {
+        const value = archive.sections[section.id];
+        const mode = modes[section.id];
+        if (value === undefined || !mode || mode === RESTORE_MODE.SKIP) {
+            continue;
+        }
+        if (await writeStorageSection(section, value, mode)) {
+            restored.push(section.label);
+        } else {
+            failed.push(section.label);
+        }
+    }
+    reloadSystemIntelFromStorage();
+    return { restored, failed };
+}
+
+export function describeSectionContents(sectionId, value) {
+    if (sectionId === VERSIONS_SECTION.id) {
+        const rows = value.reduce((total, version) => total + version.data.length, 0);
+        return `${value.length} version(s), ${rows} bookmark row(s)`;
+    }
+    const count = Array.isArray(value) ? value.length : Object.keys(value).length;
+    return `${count} entr${count === 1 ? 'y' : 'ies'}`;
+}
+
+function initWorkspaceBackup() {
+    backupDom.exportButton = document.getElementById('workspaceExportButton');
+    backupDom.importButton = document.getElementById('workspaceImportButton');
+    backupDom.fileInput = document.getElementById('workspaceImportInput');
+    backupDom.modal = document.getElementById('workspaceImportModal');
+    backupDom.closeButton = document.getElementById('workspaceImportCloseButton');
+    backupDom.summary = document.getElementById('workspaceImportSummary');
+    backupDom.sections = document.getElementById('workspaceImportSections');
+    backupDom.message = document.getElementById('workspaceImportMessage');
+    backupDom.restoreButton = document.getElementById('workspaceImportRestoreButton');
+    backupDom.cancelButton = document.getElementById('workspaceImportCancelButton');
+
+    if (backupDom.exportButton) {
+        backupDom.exportButton.addEventListener('click', handleExportWorkspace);
+    }
+    if (!backupDom.importButton || !backupDom.fileInput || !backupDom.modal || !backupDom.sections) {
+        return;
+    }
+
+    backupDom.importButton.addEventListener('click', () => backupDom.fileInput.click());
+    backupDom.fileInput.addEventListener('change', () => {
+        const [file] = Array.from(backupDom.fileInput.files || []);
+        backupDom.fileInput.value = '';
+        if (file) {
+            handleArchiveFile(file);
+        }
+    });
+    [backupDom.closeButton, backupDom.cancelButton].forEach((button) => {
+        if (button) {
+            button.addEventListener('click', closeWorkspaceImport);
+        }
+    });
+    backupDom.modal.addEventListener('click', (event) => {
+        if (event.target === backupDom.modal) {
+            closeWorkspaceImport();
+        }
+    });
+    if (backupDom.restoreButton) {
+        backupDom.restoreButton.addEventListener('click', handleRestoreWorkspace);
+    }
+}
+
+async function handleExportWorkspace() {
+    try {
+        const archive = await buildWorkspaceArchive();
+        const blob = new Blob([JSON.stringify(archive, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        const slug = (archive.workspace || 'workspace').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+        link.download = `bookmark-viewer-${slug || 'workspace'}-${archive.exportedAt.slice(0, 10)}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    } catch (error) {
+        console.error('Failed to export workspace', error);
+        displayErrorMessage('Failed to export the workspace.');
+    }
+}
+
+async function handleArchiveFile(file) {
+    let parsed;
+    try {
+        parsed = JSON.parse(await file.text());
+    } catch (error) {
+        console.warn('Failed to read workspace backup', error);
+        displayErrorMessage(`${file.name} is not valid JSON.`);
+        return;
+    }
+    const { archive, error } = validateWorkspaceArchive(parsed);
+    if (error) {
+        displayErrorMessage(error);
+        return;
+    }
+    backupState.archive = archive;
+    openWorkspaceImport(file.name);
+}
+
+function openWorkspaceImport(fileName) {
+    const { archive } = backupState;
+    const exported = (archive.exportedAt && formatTimestamp(archive.exportedAt, { zone: true })) || 'an unknown date';
+    const source = archive.workspace ? ` from workspace "${archive.workspace}"` : '';
+    backupDom.summary.textContent = `${fileName} — exported${source} ${exported}. Choose how to restore each section into the current workspace.`;
+    renderSectionChoices(archive);
+    setWorkspaceImportMessage('');
+
+    backupState.isOpen = true;
+    backupState.previousFocus = document.activeElement instanceof HTMLElement ? document.activeElement : null;
+    backupDom.modal.style.display = 'block';
+    backupDom.modal.setAttribute('aria-hidden', 'false');
+    document.addEventListener('keydown', handleWorkspaceImportKeydown, true);
+    if (backupDom.restoreButton) {
+        backupDom.restoreButton.focus();
+    }
+}
+
+function closeWorkspaceImport() {
+    backupState.isOpen = false;
+    backupState.archive = null;
+    backupDom.modal.style.display = 'none';
+    backupDom.modal.setAttribute('aria-hidden', 'true');
+    document.removeEventListener('keydown', handleWorkspaceImportKeydown, true);
+    if (backupState.previousFocus && typeof backupState.previousFocus.focus === 'function') {
+        backupState.previousFocus.focus();
+    }
+    backupState.previousFocus = null;
+}
+
+function handleWorkspaceImportKeydown(event) {
+    if (event.key === 'Escape') {
+        event.preventDefault();
+        closeWorkspaceImport();
+    }
+}
+
+function renderSectionChoices(archive) {
+    backupDom.sections.innerHTML = '';
+    [VERSIONS_SECTION, ...STORAGE_SECTIONS].forEach((section) => {
+        const value = archive.sections[section.id];
+        if (value === undefined) {
+            return;
+        }
+        const item = document.createElement('li');
+        item.className = 'workspace-import-section';
+
+        const label = document.createElement('span');
+        label.className = 'workspace-import-section-label';
+        label.textContent = section.label;
+        const detail = document.createElement('span');
+        detail.className = 'workspace-import-section-detail';
+        detail.textContent = describeSectionContents(section.id, value);
+
+        const select = document.createElement('select');
+        select.className = 'workspace-import-mode';
+        select.dataset.sectionId = section.id;
+        select.setAttribute('aria-label', `Restore mode for ${section.label.toLowerCase()}`);
+        [
+            [RESTORE_MODE.MERGE, 'Merge'],
+            [RESTORE_MODE.REPLACE, 'Replace'],
+            [RESTORE_MODE.SKIP, 'Skip']
+        ].forEach(([value, text]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            select.appendChild(option);
+        });
+
+        item.append(label, detail, select);
+        backupDom.sections.appendChild(item);
+    });
+}
+
+function readSectionModes() {
+    const modes = {};
+    backupDom.sections.querySelectorAll('select.workspace-import-mode').forEach((select) => {
+        modes[select.dataset.sectionId] = select.value;
+    });
+    return modes;
+}
+
+async function handleRestoreWorkspace() {
+    const { archive } = backupState;
+    if (!archive) {
+        return;
+    }
+    const modes = readSectionModes();
+    const replaced = Object.entries(modes).filter(([, mode]) => mode === RESTORE_MODE.REPLACE);
+    if (!Object.values(modes).some((mode) => mode !== RESTORE_MODE.SKIP)) {
+        setWorkspaceImportMessage('Every section is set to skip.', true);
+        return;
+    }
+    if (replaced.length && !window.confirm('Replacing a section discards what is currently stored for it. Continue?')) {
+        return;
+    }
+    try {
+        backupDom.restoreButton.disabled = true;
+        const { restored, failed } = await restoreWorkspaceArchive(archive, modes);
+        if (failed.length) {
+            const restoredText = restored.length ? ` Restored ${restored.join(', ')}.` : '';
+            setWorkspaceImportMessage(`Could not save ${failed.join(', ')}.${restoredText} Reload to see what was kept.`, true);
+            backupDom.restoreButton.disabled = false;
+            return;
+        }
+        setWorkspaceImportMessage(`Restored ${restored.join(', ')}. Reloading...`);
+        window.location.reload();
+    } catch (error) {
+        console.error('Failed to restore workspace', error);
+        setWorkspaceImportMessage('Unable to restore the workspace backup.', true);
+        backupDom.restoreButton.disabled = false;
+    }
+}
+
+function setWorkspaceImportMessage(message, isError = false) {
+    if (!backupDom.message) {
+        return;
+    }
+    backupDom.message.textContent = message;
+    backupDom.message.classList.toggle('error', Boolean(isError));
+}
+
+document.addEventListener('DOMContentLoaded', initWorkspaceBackup);
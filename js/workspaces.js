@@ -0,0 +1,373 @@
+import {
+    createWorkspace,
+    deleteWorkspace,
+    getActiveWorkspaceId,
+    listWorkspaces,
+    onStorageReady,
+    renameWorkspace,
+    setActiveWorkspace
+} from './storage.js';
+import { displayErrorMessage } from './clipboard.js';
+import { flushSystemIntelDrafts } from './intel.js';
+import {
+    RESTORE_MODE,
+    collectWorkspaceSections,
+    describeSectionContents,
+    listWorkspaceSections,
+    restoreWorkspaceArchive
+} from './workspaceBackup.js';
+
+const workspaceState = {
+    isOpen: false,
+    previousFocus: null,
+    copySections: null
+};
+
+const workspaceDom = {
+    select: null,
+    manageButton: null,
+    modal: null,
+    closeButton: null,
+    message: null,
+    list: null,
+    newNameInput: null,
+    createButton: null,
+    copySource: null,
+    copySections: null,
+    copyButton: null
+};
+
+let workspaceMessageTimeout = null;
+
+function initWorkspaces() {
+    workspaceDom.select = document.getElementById('workspaceSelect');
+    workspaceDom.manageButton = document.getElementById('workspaceManageButton');
+    workspaceDom.modal = document.getElementById('workspaceManagerModal');
+    workspaceDom.closeButton = document.getElementById('workspaceManagerCloseButton');
+    workspaceDom.message = document.getElementById('workspaceManagerMessage');
+    workspaceDom.list = document.getElementById('workspaceManagerList');
+    workspaceDom.newNameInput = document.getElementById('workspaceNewName');
+    workspaceDom.createButton = document.getElementById('workspaceCreateButton');
+    workspaceDom.copySource = document.getElementById('workspaceCopySource');
+    workspaceDom.copySections = document.getElementById('workspaceCopySections');
+    workspaceDom.copyButton = document.getElementById('workspaceCopyButton');
+
+    if (!workspaceDom.select) {
+        return;
+    }
+
+    renderWorkspaceSelect();
+    workspaceDom.select.addEventListener('change', () => switchWorkspace(workspaceDom.select.value));
+
+    if (!workspaceDom.manageButton || !workspaceDom.modal || !workspaceDom.list) {
+        return;
+    }
+    workspaceDom.manageButton.addEventListener('click', openWorkspaceManager);
+    if (workspaceDom.closeButton) {
+        workspaceDom.closeButton.addEventListener('click', closeWorkspaceManager);
+    }
+    workspaceDom.modal.addEventListener('click', (event) => {
+        if (event.target === workspaceDom.modal) {
+            closeWorkspaceManager();
+        }
+    });
+    if (workspaceDom.createButton) {
+        workspaceDom.createButton.addEventListener('click', handleCreateWorkspace);
+    }
+    if (workspaceDom.newNameInput) {
+        workspaceDom.newNameInput.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                handleCreateWorkspace();
+            }
+        });
+    }
+    if (workspaceDom.copySource) {
+        workspaceDom.copySource.addEventListener('change', renderCopySections);
+    }
+    if (workspaceDom.copyButton) {
+        workspaceDom.copyButton.addEventListener('click', handleCopyIntoWorkspace);
+    }
+}
+
+function renderWorkspaceSelect() {
+    const activeId = getActiveWorkspaceId();
+    workspaceDom.select.innerHTML = '';
+    listWorkspaces().forEach((workspace) => {
+        const option = document.createElement('option');
+        option.value = workspace.id;
+        option.textContent = workspace.name;
+        option.selected = workspace.id === activeId;
+        workspaceDom.select.appendChild(option);
+    });
+}
+
+async function switchWorkspace(id) {
+    if (!id || id === getActiveWorkspaceId()) {
+        return;
+    }
+    try {
+        flushSystemIntelDrafts();
+        await setActiveWorkspace(id);
+        window.location.reload();
+    } catch (error) {
+        console.error('Failed to switch workspace', error);
+        renderWorkspaceSelect();
+        displayErrorMessage('Unable to switch workspace.');
+    }
+}
+
+function openWorkspaceManager() {
+    workspaceState.isOpen = true;
+    workspaceState.previousFocus = document.activeElement instanceof HTMLElement ? document.activeElement : null;
+    workspaceDom.modal.style.display = 'block';
+    workspaceDom.modal.setAttribute('aria-hidden', 'false');
+    document.addEventListener('keydown', handleWorkspaceManagerKeydown, true);
+    renderWorkspaceManager();
+    if (workspaceDom.closeButton) {
+        workspaceDom.closeButton.focus();
+    }
+}
+
+function closeWorkspaceManager() {
+    workspaceState.isOpen = false;
+    workspaceDom.modal.style.display = 'none';
+    workspaceDom.modal.setAttribute('aria-hidden', 'true');
+    document.removeEventListener('keydown', handleWorkspaceManagerKeydown, true);
+    showWorkspaceMessage('');
+    if (workspaceState.previousFocus && typeof workspaceState.previousFocus.focus === 'function') {
+        workspaceState.previousFocus.focus();
+    }
+    workspaceState.previousFocus = null;
+}
+
+function handleWorkspaceManagerKeydown(event) {
+    if (event.key === 'Escape') {
+        event.preventDefault();
+        closeWorkspaceManager();
+    }
+}
+
+function renderWorkspaceManager() {
+    const activeId = getActiveWorkspaceId();
+    const workspaces = listWorkspaces();
+    workspaceDom.list.innerHTML = '';
+
+    workspaces.forEach((workspace) => {
+        const isActive = workspace.id === activeId;
+        const item = document.createElement('li');
+        item.className = 'workspace-manager-item';
+        item.classList.toggle('is-active', isActive);
+
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.className = 'workspace-manager-name';
+        nameInput.value = workspace.name;
+        nameInput.setAttribute('aria-label', `Name of workspace ${workspace.name}`);
+        nameInput.addEventListener('change', () => handleRenameWorkspace(workspace, nameInput));
+        item.appendChild(nameInput);
+
+        if (isActive) {
+            const badge = document.createElement('span');
+            badge.className = 'version-browser-badge';
+            badge.textContent = 'active';
+            item.appendChild(badge);
+        } else {
+            const switchButton = document.createElement('button');
+            switchButton.type = 'button';
+            switchButton.textContent = 'Switch';
+            switchButton.addEventListener('click', () => switchWorkspace(workspace.id));
+            item.appendChild(switchButton);
+        }
+
+        const deleteButton = document.createElement('button');
+        deleteButton.type = 'button';
+        deleteButton.textContent = 'Delete';
+        deleteButton.disabled = isActive;
+        deleteButton.title = isActive ? 'Switch to another workspace before deleting this one.' : '';
+        deleteButton.addEventListener('click', () => handleDeleteWorkspace(workspace));
+        item.appendChild(deleteButton);
+
+        workspaceDom.list.appendChild(item);
+    });
+
+    renderCopySourceOptions(workspaces.filter((workspace) => workspace.id !== activeId));
+}
+
+function renderCopySourceOptions(sources) {
+    if (!workspaceDom.copySource || !workspaceDom.copySections) {
+        return;
+    }
+    const previous = workspaceDom.copySource.value;
+    workspaceDom.copySource.innerHTML = '';
+    sources.forEach((workspace) => {
+        const option = document.createElement('option');
+        option.value = workspace.id;
+        option.textContent = workspace.name;
+        option.selected = workspace.id === previous;
+        workspaceDom.copySource.appendChild(option);
+    });
+    workspaceDom.copySource.disabled = !sources.length;
+    if (workspaceDom.copyButton) {
+        workspaceDom.copyButton.disabled = !sources.length;
+    }
+    renderCopySections();
+}
+
+async function renderCopySections() {
+    const container = workspaceDom.copySections;
+    const sourceId = workspaceDom.copySource.value;
+    workspaceState.copySections = null;
+    container.innerHTML = '';
+    if (!sourceId) {
+        container.textContent = 'Create another workspace to copy data between them.';
+        return;
+    }
+    let sections;
+    try {
+        sections = await collectWorkspaceSections(sourceId);
+    } catch (error) {
+        console.error('Failed to read workspace for copying', error);
+        container.textContent = 'Unable to read that workspace.';
+        return;
+    }
+    if (workspaceDom.copySource.value !== sourceId) {
+        return;
+    }
+    workspaceState.copySections = { sourceId, sections };
+
+    listWorkspaceSections().forEach(({ id, label }) => {
+        const row = document.createElement('label');
+        row.className = 'workspace-copy-section';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = id;
+        const name = document.createElement('span');
+        name.textContent = label;
+        const detail = document.createElement('span');
+        detail.className = 'workspace-import-section-detail';
+        detail.textContent = describeSectionContents(id, sections[id]);
+        const mode = document.createElement('select');
+        mode.className = 'workspace-import-mode';
+        mode.setAttribute('aria-label', `Copy mode for ${label.toLowerCase()}`);
+        [[RESTORE_MODE.MERGE, 'Merge'], [RESTORE_MODE.REPLACE, 'Replace']].forEach(([value, text]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            mode.appendChild(option);
+        });
+        row.append(checkbox, name, detail, mode);
+        container.appendChild(row);
+    });
+}
+
+async function handleCreateWorkspace() {
+    const name = workspaceDom.newNameInput ? workspaceDom.newNameInput.value.trim() : '';
+    if (!name) {
+        showWorkspaceMessage('Enter a name for the new workspace.', true);
+        return;
+    }
+    try {
+        await createWorkspace(name);
+        workspaceDom.newNameInput.value = '';
+        renderWorkspaceSelect();
+        renderWorkspaceManager();
+        showWorkspaceMessage(`Created workspace "${name}".`);
+    } catch (error) {
+        console.error('Failed to create workspace', error);
+        showWorkspaceMessage('Unable to create the workspace.', true);
+    }
+}
+
+async function handleRenameWorkspace(workspace, input) {
+    const name = input.value.trim();
+    if (!name) {
+        input.value = workspace.name;
+        return;
+    }
+    try {
+        await renameWorkspace(workspace.id, name);
+        renderWorkspaceSelect();
+        renderCopySourceOptions(listWorkspaces().filter((entry) => entry.id !== getActiveWorkspaceId()));
+        showWorkspaceMessage(`Renamed to "${name}".`);
+    } catch (error) {
+        console.error('Failed to rename workspace', error);
+        showWorkspaceMessage('Unable to rename the workspace.', true);
+    }
+}
+
+async function handleDeleteWorkspace(workspace) {
+    if (!window.confirm(`Delete workspace "${workspace.name}" with its versions, intel, signatures, routes and layout? This cannot be undone.`)) {
+        return;
+    }
+    try {
+        await deleteWorkspaceVersions(workspace.id);
+        await deleteWorkspace(workspace.id);
+        renderWorkspaceSelect();
+        renderWorkspaceManager();
+        showWorkspaceMessage(`Deleted workspace "${workspace.name}".`);
+    } catch (error) {
+        console.error('Failed to delete workspace', error);
+        showWorkspaceMessage('Unable to delete the workspace.', true);
+    }
+}
+
+async function handleCopyIntoWorkspace() {
+    const copy = workspaceState.copySections;
+    if (!copy || copy.sourceId !== workspaceDom.copySource.value) {
+        return;
+    }
+    const modes = {};
+    workspaceDom.copySections.querySelectorAll('.workspace-copy-section').forEach((row) => {
+        const checkbox = row.querySelector('input[type="checkbox"]');
+        const mode = row.querySelector('select');
+        if (checkbox && checkbox.checked) {
+            modes[checkbox.value] = mode ? mode.value : RESTORE_MODE.MERGE;
+        }
+    });
+    if (!Object.keys(modes).length) {
+        showWorkspaceMessage('Tick at least one section to copy.', true);
+        return;
+    }
+    if (Object.values(modes).includes(RESTORE_MODE.REPLACE)
+        && !window.confirm('Replacing a section discards what this workspace currently stores for it. Continue?')) {
+        return;
+    }
+    try {
+        workspaceDom.copyButton.disabled = true;
+        const { restored, failed } = await restoreWorkspaceArchive({ sections: copy.sections }, modes);
+        if (failed.length) {
+            const copiedText = restored.length ? ` Copied ${restored.join(', ')}.` : '';
+            showWorkspaceMessage(`Could not save ${failed.join(', ')}.${copiedText}`, true);
+            workspaceDom.copyButton.disabled = false;
+            return;
+        }
+        showWorkspaceMessage(`Copied ${restored.join(', ')}. Reloading...`);
+        window.location.reload();
+    } catch (error) {
+        console.error('Failed to copy between workspaces', error);
+        showWorkspaceMessage('Unable to copy that data.', true);
+        workspaceDom.copyButton.disabled = false;
+    }
+}
+
+function showWorkspaceMessage(message, isError = false) {
+    if (!workspaceDom.message) {
+        return;
+    }
+    if (workspaceMessageTimeout) {
+        clearTimeout(workspaceMessageTimeout);
+        workspaceMessageTimeout = null;
+    }
+    workspaceDom.message.textContent = message;
+    workspaceDom.message.classList.toggle('error', Boolean(isError));
+    if (message) {
+        workspaceMessageTimeout = setTimeout(() => {
+            workspaceDom.message.textContent = '';
+            workspaceDom.message.classList.remove('error');
+            workspaceMessageTimeout = null;
+        }, 5000);
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => onStorageReady(initWorkspaces));
@@ -1,4 +1,4 @@
-const CACHE_NAME = 'bookmark-mapper-cache-v34';
+const CACHE_NAME = 'bookmark-mapper-cache-v53';
 const ASSET_PATHS = [
     '.',
     'index.html',
@@ -11,11 +11,39 @@ const ASSET_PATHS = [
     'js/main.js',
     'js/map.js',
     'js/routesModule.js',
+    'js/storage.js',
+    'js/versionRows.js',
+    'js/stats.js',
+    'js/layout.js',
+    'js/signatures.js',
+    'js/intel.js',
+    'js/bookmarkTimers.js',
+    'js/bookmarkFileImport.js',
+    'js/bookmarkParser.js',
+    'js/bookmarkColumns.js',
+    'js/bookmarkValidation.js',
+    'js/importReview.js',
+    'js/pasteRouter.js',
+    'js/toast.js',
+    'js/versionBrowser.js',
+    'js/versionDiff.js',
+    'js/versionRetention.js',
+    'js/workspaceBackup.js',
+    'js/workspaces.js',
+    'js/tableQuery.js',
+    'js/bookmarkLabel.js',
+    'js/tableExport.js',
+    'js/expiryAlerts.js',
+    'js/eveTime.js',
+    'js/statsHistory.js',
+    'js/statsScanners.js',
+    'js/chainHealth.js',
     'js/modules/map/buildSystemTag.js',
     'js/modules/map/displayMap.js',
     'js/modules/map/dragHandlers.js',
     'js/modules/map/extractSystems.js',
     'js/modules/map/routePlanner.js',
+    'js/modules/map/wormholeLifetime.js',
     'data/systems.json',
     'assets/icons/icon-192x192.png',
     'assets/icons/icon-512x512.png',